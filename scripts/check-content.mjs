@@ -0,0 +1,265 @@
+/**
+ * CHECK CONTENT
+ *
+ * Lints the content editors maintain by hand, on top of schema validation:
+ * - referenced images, videos, posters and caption files exist under public/assets
+ * - images have alt text
+ * - common typos, including misspellings of "Diagrama"
+ * - video entries have a YouTube/Vimeo id or embed code from an allowed provider,
+ *   and caption tracks only on players that can show them
+ * - team members have distinct profile URLs
+ * - no stale public/content/ copy shadows content/
+ *
+ *   npm run content:check
+ *
+ * Exits with status 1 when any errors are found.
+ */
+
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { loadContent, printReport } from './content-files.mjs';
+import { resolveAsset } from '../src/js/sections/markup.js';
+import { getMemberId, slugifyName } from '../src/js/sections/team.js';
+import { STRUCTURE_FILE } from '../src/js/content-validator.js';
+import { resolveEmbed } from '../src/js/embeds.js';
+import { isVTT } from '../src/js/video-tracks.js';
+
+const CONTENT_DIR = 'content';
+const PUBLIC_DIR = 'public';
+const STALE_COPY_DIR = path.join(PUBLIC_DIR, 'content');
+
+// Content fields holding asset paths, and the /assets/ folder bare names resolve to
+const MEDIA_FIELDS = {
+  src: 'images',
+  photo: 'images',
+  poster: 'images',
+  thumbnail: 'images',
+  fallbackImage: 'images',
+  backgroundVideo: 'videos',
+  audioDescription: 'captions'
+};
+
+const VIDEO_SOURCE_FIELDS = ['embedCode', 'youtubeId', 'vimeoId'];
+
+// Misspellings of "Diagrama" are listed one by one, so "diagram" stays valid
+const TYPOS = [
+  { pattern: /\b(Diagramma|Diagrma|Diagarma|Diagraam|Diagraama|Diagrama{2,}|Diagrame|Diargama|Digrama|Daigrama|Dairgama)\b/gi, correction: 'Diagrama' },
+  { pattern: /\bAustrail\w*/gi, correction: 'Australia' },
+  { pattern: /\bteh\b/gi, correction: 'the' },
+  { pattern: /\brecieve\w*/gi, correction: 'receive' },
+  { pattern: /\bseperat\w*/gi, correction: 'separate' },
+  { pattern: /\boccured\b/gi, correction: 'occurred' },
+  { pattern: /\bacheiv\w*/gi, correction: 'achieve' },
+  { pattern: /\bgoverment\w*/gi, correction: 'government' },
+  { pattern: /\benviroment\w*/gi, correction: 'environment' },
+  { pattern: /\baccomodat\w*/gi, correction: 'accommodation' },
+  { pattern: /\bsucess\w*/gi, correction: 'success' },
+  { pattern: /\bsuccesful\w*/gi, correction: 'successful' }
+];
+
+/**
+ * Visit every value in a JSON document with its path
+ */
+function walk(value, jsonPath, visit) {
+  visit(value, jsonPath);
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walk(item, `${jsonPath}[${index}]`, visit));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => walk(item, `${jsonPath}.${key}`, visit));
+  }
+}
+
+/**
+ * Check that an asset path resolves to a file under public/, reporting a
+ * missing file at the given severity
+ */
+function checkAsset(assetPath, folder, issue, severity = 'error') {
+  const resolved = resolveAsset(assetPath, folder);
+  if (/^(https?:|data:)/.test(resolved)) return;
+
+  const file = path.join(PUBLIC_DIR, decodeURI(resolved));
+  if (!existsSync(file)) {
+    issue(severity, `file not found: ${file}`);
+  }
+}
+
+/**
+ * Lint one section's content
+ */
+function checkSection({ section, content }) {
+  const issues = [];
+  const root = section.contentKey ? `$.${section.contentKey}` : '$';
+
+  walk(content, root, (value, jsonPath) => {
+    const issue = (severity, message) => issues.push({ file: section.contentFile, path: jsonPath, message, severity });
+
+    if (typeof value === 'string') {
+      TYPOS.forEach(({ pattern, correction }) => {
+        (value.match(pattern) || []).forEach(match => issue('error', `possible typo "${match}" (did you mean "${correction}"?)`));
+      });
+      return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+
+    Object.entries(MEDIA_FIELDS).forEach(([field, folder]) => {
+      if (typeof value[field] === 'string' && value[field]) {
+        // The hero shows its fallback image when the background video is missing
+        const missing = field === 'backgroundVideo' && value.fallbackImage ? 'warning' : 'error';
+        checkAsset(value[field], folder, (severity, message) =>
+          issues.push({ file: section.contentFile, path: `${jsonPath}.${field}`, message, severity }), missing);
+      }
+    });
+
+
+    Object.entries(value.captions || {}).forEach(([lang, file]) => {
+      checkAsset(file, 'captions', (severity, message) =>
+        issues.push({ file: section.contentFile, path: `${jsonPath}.captions.${lang}`, message, severity }));
+    });
+
+    if (isVTT(value.transcript)) {
+      checkAsset(value.transcript.trim(), 'captions', (severity, message) =>
+        issues.push({ file: section.contentFile, path: `${jsonPath}.transcript`, message, severity }));
+    }
+
+    // Images rendered from { src } need their own alt text
+    if (typeof value.src === 'string' && !(typeof value.alt === 'string' && value.alt.trim())) {
+      issue('error', 'image is missing alt text ("alt")');
+    }
+
+    if (VIDEO_SOURCE_FIELDS.some(field => field in value)) {
+      const embed = resolveEmbed(value);
+      if (!embed) {
+        issue('error', 'video has no source: youtubeId, vimeoId and embedCode are all empty');
+      } else if (embed.rejected) {
+        issue('error', `video will not be shown: ${embed.rejected}`);
+      } else if (embed.provider !== 'local' && (value.captions || value.audioDescription)) {
+        issue('warning', `captions and audioDescription only apply to local videos; upload them to ${embed.provider} instead, or add a transcript`);
+      }
+    }
+  });
+
+  // The hero fallback image takes its alt text from the accessibility block
+  const media = content.media || {};
+  const accessibility = content.accessibility || {};
+  if (media.fallbackImage && !accessibility.altText) {
+    issues.push({ file: section.contentFile, path: `${root}.accessibility.altText`, message: 'fallback image is missing alt text', severity: 'error' });
+  }
+
+  return issues;
+}
+
+/**
+ * Profile URLs find members by id (their "id", or a slug of their name), so
+ * two members with the same id would share one profile. Names that don't
+ * slug fall back to the member's position, which reordering changes.
+ */
+function checkMemberIds({ section, content }) {
+  if (section.type !== 'team' || !Array.isArray(content.members)) return [];
+
+  const root = section.contentKey ? `$.${section.contentKey}` : '$';
+  const seen = new Map();
+  const issues = [];
+
+  content.members.forEach((member, index) => {
+    if (!member || typeof member.name !== 'string') return;
+
+    const id = getMemberId(member, index);
+    if (!member.id && !slugifyName(member.name)) {
+      issues.push({
+        file: section.contentFile,
+        path: `${root}.members[${index}]`,
+        message: `no profile id can be made from this name, so its profile URL uses its position ("${id}") and changes if members are reordered; give the member an "id"`,
+        severity: 'warning'
+      });
+    }
+
+    if (seen.has(id)) {
+      issues.push({
+        file: section.contentFile,
+        path: `${root}.members[${index}]`,
+        message: `profile id "${id}" is already used by members[${seen.get(id)}]; give one of them a different "id"`,
+        severity: 'error'
+      });
+    } else {
+      seen.set(id, index);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Check the media files listed in structure.json. These are only listed, not
+ * rendered, so missing files are warnings
+ */
+function checkStructureMedia(structure) {
+  const issues = [];
+
+  (structure.sections || []).forEach((section, sectionIndex) => {
+    (section.mediaFiles || []).forEach((file, index) => {
+      const folder = /\.(mp4|webm|ogv|mov)$/i.test(file) ? 'videos' : 'images';
+      checkAsset(file, folder, (severity, message) => issues.push({
+        file: STRUCTURE_FILE,
+        path: `$.sections[${sectionIndex}].mediaFiles[${index}]`,
+        message,
+        severity: 'warning'
+      }));
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Warn about top-level keys of shared files that no section references
+ */
+function checkUnusedKeys(structure, files) {
+  const issues = [];
+  const sections = structure.sections || [];
+
+  files.forEach((data, file) => {
+    const keyed = sections.filter(section => section.contentFile === file && section.contentKey);
+    if (!keyed.length || !data) return;
+
+    Object.keys(data)
+      .filter(key => !keyed.some(section => section.contentKey === key))
+      .forEach(key => issues.push({
+        file,
+        path: `$.${key}`,
+        message: 'not referenced by any section in structure.json',
+        severity: 'warning'
+      }));
+  });
+
+  return issues;
+}
+
+/**
+ * content/ is served and emitted by the Vite content plugin; a copy under
+ * public/ would end up in the build next to it and drift out of date
+ */
+function checkStaleCopy() {
+  if (!existsSync(STALE_COPY_DIR)) return [];
+
+  return [{
+    file: `${STALE_COPY_DIR}/`,
+    message: `remove this folder, ${CONTENT_DIR}/ is the only content source`,
+    severity: 'error'
+  }];
+}
+
+const { structure, files, sections, issues } = await loadContent(CONTENT_DIR);
+
+if (structure) {
+  issues.push(...checkStructureMedia(structure));
+  issues.push(...checkUnusedKeys(structure, files));
+  sections.forEach(entry => issues.push(...checkSection(entry), ...checkMemberIds(entry)));
+}
+
+issues.push(...checkStaleCopy());
+
+const errorCount = printReport(issues, 'content check');
+
+process.exitCode = errorCount ? 1 : 0;
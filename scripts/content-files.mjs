@@ -0,0 +1,116 @@
+/**
+ * CONTENT FILES
+ *
+ * Node helpers shared by the content scripts: reading content JSON with
+ * readable syntax errors, resolving sections from structure.json and
+ * printing issue reports grouped by file.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ContentValidator, STRUCTURE_FILE, formatValidationError } from '../src/js/content-validator.js';
+
+/**
+ * Read and parse a JSON file, reporting syntax errors with line and column
+ */
+export async function readJSON(dir, file) {
+  const source = await readFile(path.join(dir, file), 'utf8').catch(error => {
+    throw { file, path: '$', message: `cannot read file (${error.code})`, severity: 'error' };
+  });
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+    const location = Number.isNaN(position) ? '' : ` at ${lineAndColumn(source, position)}`;
+    throw { file, path: '$', message: `invalid JSON${location}: ${error.message}`, severity: 'error' };
+  }
+}
+
+/**
+ * Convert a character offset to "line L, column C"
+ */
+function lineAndColumn(source, position) {
+  const lines = source.slice(0, position).split('\n');
+  return `line ${lines.length}, column ${lines[lines.length - 1].length + 1}`;
+}
+
+/**
+ * Load structure.json and the content of every section it lists, validating
+ * both against their schemas. Returns { structure, files, sections, issues }
+ * where sections is [{ section, content }] and files maps file name to data.
+ */
+export async function loadContent(dir, options = {}) {
+  const validator = options.validator || new ContentValidator();
+  const issues = [];
+  const files = new Map();
+  const sections = [];
+
+  let structure;
+  try {
+    structure = await readJSON(dir, STRUCTURE_FILE);
+  } catch (error) {
+    return { structure: null, files, sections, issues: [error] };
+  }
+
+  files.set(STRUCTURE_FILE, structure);
+  issues.push(...validator.validateStructure(structure));
+
+  for (const section of Array.isArray(structure.sections) ? structure.sections : []) {
+    if (!section || typeof section.contentFile !== 'string') continue;
+
+    // Shared files are parsed once, however many sections they hold
+    if (!files.has(section.contentFile)) {
+      files.set(section.contentFile, await readJSON(dir, section.contentFile).catch(error => {
+        issues.push(error);
+        return null;
+      }));
+    }
+
+    const data = files.get(section.contentFile);
+    if (data === null) continue;
+
+    const content = section.contentKey ? data[section.contentKey] : data;
+    if (content === undefined) {
+      issues.push({
+        file: section.contentFile,
+        path: `$.${section.contentKey}`,
+        message: `missing key referenced by section "${section.id}" (expected object)`,
+        severity: 'error'
+      });
+      continue;
+    }
+
+    issues.push(...validator.validateSection(content, section));
+    sections.push({ section, content });
+  }
+
+  return { structure, files, sections, issues };
+}
+
+/**
+ * Print issues grouped by file and return the number of errors
+ */
+export function printReport(issues, label) {
+  const byFile = new Map();
+  issues.forEach(issue => {
+    const file = issue.file || '(content)';
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(issue);
+  });
+
+  byFile.forEach((fileIssues, file) => {
+    console.log(`\n${file}`);
+    fileIssues.forEach(issue => {
+      const severity = issue.severity === 'warning' ? 'warning' : 'error  ';
+      console.log(`  ${severity} ${formatValidationError({ ...issue, file: null })}`);
+    });
+  });
+
+  const errorCount = issues.filter(issue => issue.severity !== 'warning').length;
+  const warningCount = issues.length - errorCount;
+
+  console.log(`\n${label}: ${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+
+  return errorCount;
+}
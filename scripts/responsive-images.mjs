@@ -0,0 +1,174 @@
+/**
+ * RESPONSIVE IMAGES
+ *
+ * Width-stepped AVIF/WebP/JPEG variants of everything under
+ * public/assets/images, and the manifest renderers build srcset from. The
+ * manifest also carries each image's intrinsic size, dominant colour and a
+ * tiny blurred preview for placeholders. Encoded variants and previews are
+ * cached in node_modules/.cache so rebuilds only re-encode changed images.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, statSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+
+export const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Modern formats first; the last one is the <img> fallback
+export const IMAGE_FORMATS = ['avif', 'webp'];
+
+const SOURCE_EXTENSIONS = /\.(jpe?g|png)$/i;
+
+const ENCODER_OPTIONS = {
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 75 },
+  jpeg: { quality: 78, mozjpeg: true },
+  png: { compressionLevel: 9, palette: true }
+};
+
+// URL path the variants are served from, relative to the site root
+export const RESPONSIVE_URL = '/assets/images/responsive/';
+
+const CACHE_DIR = path.join('node_modules', '.cache', 'diagrama-images');
+
+// Width of the blurred preview inlined into the manifest
+const PLACEHOLDER_WIDTH = 20;
+
+/**
+ * List source images under a directory as paths relative to it
+ */
+function listImages(dir, prefix = '') {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      // Never feed generated variants back into the pipeline
+      return entry.name === 'responsive' ? [] : listImages(path.join(dir, entry.name), relative);
+    }
+
+    return SOURCE_EXTENSIONS.test(entry.name) ? [relative] : [];
+  });
+}
+
+/**
+ * Pick the variant widths for an image: the steps below its own width, plus
+ * its own width (capped at the largest step) so nothing is upscaled
+ */
+export function variantWidths(width) {
+  const largest = Math.min(width, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+  return [...IMAGE_WIDTHS.filter(step => step < largest), largest];
+}
+
+/**
+ * Name a variant file, e.g. 'team/Kate Bjur.jpg' at 640 -> 'team/kate-bjur-640.avif'
+ */
+function variantPath(file, width, format) {
+  const { dir, name } = path.posix.parse(file);
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${dir ? `${dir}/` : ''}${slug}-${width}.${format === 'jpeg' ? 'jpg' : format}`;
+}
+
+/**
+ * Return a cached result for a source image, producing it on a cache miss.
+ * Entries are keyed on the file's size and mtime plus `settings`.
+ */
+async function cached(source, settings, extension, produce) {
+  const stats = statSync(source);
+  const key = createHash('sha1')
+    .update(JSON.stringify([source, stats.size, stats.mtimeMs, settings]))
+    .digest('hex');
+  const file = path.join(CACHE_DIR, `${key}.${extension}`);
+
+  if (existsSync(file)) {
+    return readFileSync(file);
+  }
+
+  const buffer = await produce();
+
+  mkdirSync(CACHE_DIR, { recursive: true });
+  writeFileSync(file, buffer);
+
+  return buffer;
+}
+
+/**
+ * Compute an image's dominant colour and blurred preview data URI. Images
+ * with transparency get neither: the placeholder would show through them.
+ */
+async function summarizeImage(source, metadata) {
+  if (metadata.hasAlpha) return {};
+
+  const summary = await cached(source, ['summary', PLACEHOLDER_WIDTH], 'json', async () => {
+    const { dominant } = await sharp(source).stats();
+    const preview = await sharp(source)
+      .rotate()
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .blur(1)
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return Buffer.from(JSON.stringify({
+      color: `#${[dominant.r, dominant.g, dominant.b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`,
+      placeholder: `data:image/webp;base64,${preview.toString('base64')}`
+    }));
+  });
+
+  return JSON.parse(summary);
+}
+
+/**
+ * Read every image's dimensions and plan its variants
+ *
+ * Returns { manifest, variants }: the manifest maps each image (relative to
+ * the images folder) to { width, height, color, placeholder, fallback,
+ * sources: { format: [{ width, src }] } }, and variants maps each variant's
+ * output path to what it's encoded from.
+ */
+export async function planImages(dir) {
+  const manifest = {};
+  const variants = new Map();
+
+  for (const file of listImages(dir)) {
+    const source = path.join(dir, file);
+    const metadata = await sharp(source).metadata();
+
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const fallback = /\.png$/i.test(file) ? 'png' : 'jpeg';
+    const sources = {};
+
+    [...IMAGE_FORMATS, fallback].forEach(format => {
+      sources[format] = variantWidths(width).map(variantWidth => {
+        const output = variantPath(file, variantWidth, format);
+
+        if (variants.has(output) && variants.get(output).file !== file) {
+          throw new Error(`Images ${variants.get(output).file} and ${file} both produce ${output}; rename one of them`);
+        }
+
+        variants.set(output, { file, source, width: variantWidth, format });
+        return { width: variantWidth, src: `${RESPONSIVE_URL}${output}` };
+      });
+    });
+
+    manifest[file] = { width, height, ...await summarizeImage(source, metadata), fallback, sources };
+  }
+
+  return { manifest, variants };
+}
+
+/**
+ * Encode one variant, reusing the cached copy when the source is unchanged
+ */
+export function encodeVariant({ source, width, format }) {
+  return cached(source, [width, format, ENCODER_OPTIONS[format]], format, () => sharp(source)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, ENCODER_OPTIONS[format])
+    .toBuffer());
+}
@@ -0,0 +1,20 @@
+/**
+ * VALIDATE CONTENT
+ *
+ * Validates structure.json and every content file it references against the
+ * section type schemas. Run before publishing:
+ *
+ *   npm run content:validate [content-dir]
+ *
+ * Exits with status 1 when any file has errors.
+ */
+
+import path from 'node:path';
+import { loadContent, printReport } from './content-files.mjs';
+
+const contentDir = path.resolve(process.argv[2] || 'content');
+
+const { issues } = await loadContent(contentDir);
+const errorCount = printReport(issues, path.relative(process.cwd(), contentDir) || '.');
+
+process.exitCode = errorCount ? 1 : 0;
@@ -0,0 +1,111 @@
+/**
+ * VITE CONTENT PLUGIN
+ *
+ * Makes content/ the single source of truth for content JSON:
+ * - development: serves content/*.json at <base>content/ and pushes edits
+ *   to the page over HMR as 'content:update' events
+ * - build: emits content/*.json into dist/content/, and with { inline: true }
+ *   also inlines it into the bundle as __DIAGRAMA_CONTENT__
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+
+const CONTENT_URL = 'content/';
+
+/**
+ * Read every JSON file in the content directory as { name: source }
+ */
+function readContentFiles(dir) {
+  if (!existsSync(dir)) return {};
+
+  return Object.fromEntries(readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => [name, readFileSync(path.join(dir, name), 'utf8')]));
+}
+
+export function contentPlugin(options = {}) {
+  const settings = {
+    dir: options.dir || 'content',
+    inline: options.inline || false,
+    ...options
+  };
+
+  let contentDir;
+
+  return {
+    name: 'diagrama-content',
+
+    config(config, { command }) {
+      const root = path.resolve(config.root || process.cwd());
+      contentDir = path.resolve(root, settings.dir);
+
+      // Malformed JSON fails the build here rather than in the browser
+      const inlineContent = command === 'build' && settings.inline
+        ? Object.fromEntries(Object.entries(readContentFiles(contentDir))
+          .map(([name, source]) => [name, JSON.parse(source)]))
+        : null;
+
+      return {
+        define: {
+          __DIAGRAMA_CONTENT__: JSON.stringify(inlineContent)
+        }
+      };
+    },
+
+    configureServer(server) {
+      const base = server.config.base.endsWith('/') ? server.config.base : `${server.config.base}/`;
+
+      server.watcher.add(contentDir);
+
+      server.middlewares.use(`${base}${CONTENT_URL}`, (req, res, next) => {
+        const name = decodeURIComponent(req.url.split('?')[0]).replace(/^\/+/, '');
+        const file = path.resolve(contentDir, name);
+
+        if (!name.endsWith('.json')) {
+          next();
+          return;
+        }
+
+        // 404 rather than falling through to the SPA index.html
+        if (path.dirname(file) !== contentDir || !existsSync(file)) {
+          res.statusCode = 404;
+          res.end();
+          return;
+        }
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.end(readFileSync(file));
+      });
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (path.dirname(file) !== contentDir || !file.endsWith('.json')) return;
+
+      const name = path.basename(file);
+
+      // Section order and types can change, so structure edits reload the page
+      if (name === 'structure.json') {
+        server.ws.send({ type: 'full-reload' });
+        return [];
+      }
+
+      try {
+        const data = JSON.parse(readFileSync(file, 'utf8'));
+        server.ws.send({ type: 'custom', event: 'content:update', data: { file: name, data } });
+      } catch (error) {
+        server.ws.send({ type: 'custom', event: 'content:error', data: { file: name, message: `invalid JSON: ${error.message}` } });
+      }
+
+      // Handled: no module depends on content files, so skip Vite's reload
+      return [];
+    },
+
+    generateBundle() {
+      Object.entries(readContentFiles(contentDir)).forEach(([name, source]) => {
+        this.emitFile({ type: 'asset', fileName: `${CONTENT_URL}${name}`, source });
+      });
+    }
+  };
+}
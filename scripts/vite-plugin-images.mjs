@@ -0,0 +1,75 @@
+/**
+ * VITE RESPONSIVE IMAGES PLUGIN
+ *
+ * Builds the responsive image manifest for public/assets/images and:
+ * - inlines it into the bundle as __DIAGRAMA_IMAGES__ for the renderers
+ * - development: encodes variants on request at /assets/images/responsive/
+ * - build: emits every variant plus assets/images/responsive/manifest.json
+ */
+
+import path from 'node:path';
+import { RESPONSIVE_URL, encodeVariant, planImages } from './responsive-images.mjs';
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+export function responsiveImagesPlugin(options = {}) {
+  const settings = {
+    dir: options.dir || 'public/assets/images',
+    ...options
+  };
+
+  let plan;
+
+  return {
+    name: 'diagrama-responsive-images',
+
+    async config(config) {
+      const root = path.resolve(config.root || process.cwd());
+      plan = await planImages(path.resolve(root, settings.dir));
+
+      return {
+        define: {
+          __DIAGRAMA_IMAGES__: JSON.stringify(plan.manifest)
+        }
+      };
+    },
+
+    configureServer(server) {
+      const base = server.config.base.endsWith('/') ? server.config.base : `${server.config.base}/`;
+
+      server.middlewares.use(`${base}${RESPONSIVE_URL.slice(1)}`, async (req, res, next) => {
+        const variant = plan.variants.get(decodeURIComponent(req.url.split('?')[0]).replace(/^\/+/, ''));
+
+        // 404 rather than falling through to the SPA index.html
+        if (!variant) {
+          res.statusCode = 404;
+          res.end();
+          return;
+        }
+
+        try {
+          res.setHeader('Content-Type', CONTENT_TYPES[variant.format]);
+          res.end(await encodeVariant(variant));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+
+    async generateBundle() {
+      const outputDir = RESPONSIVE_URL.slice(1);
+
+      // One at a time: AVIF encoding is memory hungry
+      for (const [output, variant] of plan.variants) {
+        this.emitFile({ type: 'asset', fileName: `${outputDir}${output}`, source: await encodeVariant(variant) });
+      }
+
+      this.emitFile({ type: 'asset', fileName: `${outputDir}manifest.json`, source: JSON.stringify(plan.manifest, null, 2) });
+    }
+  };
+}
@@ -5,6 +5,17 @@
  * Manages animation timelines, sequences, and performance optimization
  */
 
+// ScrollTrigger settings for each data-animate-mode
+const SCROLL_TRIGGER_MODES = {
+  once: { toggleActions: 'play none none none', once: true },
+  replay: { toggleActions: 'restart none restart reset' },
+  'reverse-on-exit': { toggleActions: 'play none none reverse' },
+  scrub: { start: 'top bottom', end: 'top center', scrub: true }
+};
+
+// Values section scrub tweens start/end at when `from` or `to` omits them
+const SCRUB_DEFAULTS = { opacity: 1, x: 0, y: 0, scale: 1, rotation: 0 };
+
 export class AnimationController {
   constructor(options = {}) {
     this.options = {
@@ -17,6 +28,10 @@ export class AnimationController {
     
     this.timelines = new Map();
     this.animations = new Map();
+    this.sectionScrolls = [];
+    this.scrollTriggers = [];
+    this.gsap = null;
+    this.ScrollTrigger = null;
     this.isGSAPLoaded = false;
     this.reducedMotion = false;
     
@@ -35,6 +50,10 @@ export class AnimationController {
       // Set up GSAP defaults
       this.setupGSAPDefaults();
       
+      if (!this.isGSAPLoaded) {
+        this.setupCSSFallback();
+      }
+      
       // Set up media query listener for reduced motion
       this.setupReducedMotionListener();
       
@@ -48,32 +67,31 @@ export class AnimationController {
   }
   
   /**
-   * Load GSAP library
+   * Load GSAP and ScrollTrigger from the gsap dependency. They're imported
+   * on demand, so the page doesn't wait on them and the rest of the
+   * controller falls back to CSS if they fail to load.
    */
   async loadGSAP() {
-    // Check if GSAP is already loaded
+    // Use a copy the page already provides
     if (window.gsap) {
+      this.gsap = window.gsap;
+      this.ScrollTrigger = window.ScrollTrigger || null;
       this.isGSAPLoaded = true;
       return;
     }
     
     try {
-      // Try to import GSAP from CDN
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/gsap.min.js';
-      script.async = true;
+      const [{ gsap }, { ScrollTrigger }] = await Promise.all([
+        import('gsap'),
+        import('gsap/ScrollTrigger')
+      ]);
       
-      await new Promise((resolve, reject) => {
-        script.onload = () => {
-          this.isGSAPLoaded = true;
-          resolve();
-        };
-        script.onerror = reject;
-        document.head.appendChild(script);
-      });
+      this.gsap = gsap;
+      this.ScrollTrigger = ScrollTrigger;
+      this.isGSAPLoaded = true;
       
     } catch (error) {
-      console.warn('Failed to load GSAP from CDN, using CSS fallback');
+      console.warn('Failed to load GSAP, using CSS fallback');
       this.isGSAPLoaded = false;
     }
   }
@@ -82,17 +100,17 @@ export class AnimationController {
    * Set up GSAP defaults
    */
   setupGSAPDefaults() {
-    if (!this.isGSAPLoaded || !window.gsap) return;
+    if (!this.isGSAPLoaded || !this.gsap) return;
     
     // Set default ease
-    window.gsap.defaults({
+    this.gsap.defaults({
       duration: this.options.duration,
       ease: this.options.easing
     });
     
     // Register ScrollTrigger if available
-    if (window.ScrollTrigger) {
-      window.gsap.registerPlugin(window.ScrollTrigger);
+    if (this.ScrollTrigger) {
+      this.gsap.registerPlugin(this.ScrollTrigger);
     }
   }
   
@@ -158,42 +176,118 @@ export class AnimationController {
   }
   
   /**
-   * Create a timeline for complex animations
+   * Create a timeline for complex animations. options.steps describes a
+   * sequence declaratively ([{ target, type, delay, duration, ease, stagger }],
+   * targets matched within options.root); other options go to GSAP.
    */
   createTimeline(id, options = {}) {
-    if (!this.isGSAPLoaded || !window.gsap) {
-      return this.createCSSTimeline(id, options);
+    const { steps = [], root = document, ...timelineOptions } = options;
+    
+    if (!this.isGSAPLoaded || !this.gsap) {
+      return this.createCSSTimeline(id, { steps, root });
     }
     
-    const timeline = window.gsap.timeline({
+    const timeline = this.gsap.timeline({
       paused: true,
-      ...options
+      ...timelineOptions
     });
     
+    // Under reduced motion the steps are left out, so targets just stay visible
+    if (!this.shouldSkipAnimation()) {
+      steps.forEach((step, index) => {
+        const elements = root.querySelectorAll(step.target);
+        if (!elements.length) return;
+        
+        const type = this.getTimelineStepType(step);
+        const delay = step.delay || 0;
+        const position = index === 0 ? delay : `${delay < 0 ? '-' : '+'}=${Math.abs(delay)}`;
+        
+        timeline.fromTo(elements, this.getInitialState(type), {
+          ...this.getFinalState(type),
+          duration: step.duration !== undefined ? step.duration : this.options.duration,
+          ease: step.ease || this.options.easing,
+          stagger: step.stagger || 0
+        }, position);
+      });
+    }
+    
     this.timelines.set(id, timeline);
     return timeline;
   }
   
   /**
-   * Create CSS-based timeline fallback
+   * Create CSS-based timeline fallback: the same steps scheduled as
+   * transition delays on the animation classes. Supports the subset of the
+   * GSAP timeline API the engine uses: play(), pause(0), reverse() and kill().
    */
-  createCSSTimeline(id, options = {}) {
+  createCSSTimeline(id, { steps = [], root = document } = {}) {
+    const entries = [];
+    let end = 0;
+    
+    steps.forEach((step, index) => {
+      const elements = Array.from(root.querySelectorAll(step.target));
+      if (!elements.length) return;
+      
+      const duration = step.duration !== undefined ? step.duration : this.options.duration;
+      const stagger = step.stagger || 0;
+      const start = index === 0 ? step.delay || 0 : Math.max(end + (step.delay || 0), 0);
+      const className = this.getCSSAnimationClass(this.getTimelineStepType(step));
+      
+      elements.forEach((element, elementIndex) => {
+        entries.push({ element, className, duration, delay: start + elementIndex * stagger });
+      });
+      
+      end = Math.max(end, start + duration + stagger * (elements.length - 1));
+    });
+    
+    // Hide the targets in their start state until the timeline plays
+    if (!this.shouldSkipAnimation()) {
+      entries.forEach(({ element, className }) => element.classList.add(className));
+    }
+    
+    const setVisible = (visible, animate) => {
+      entries.forEach(({ element, duration, delay }) => {
+        element.style.transitionDuration = animate ? `${duration}s` : '0s';
+        element.style.transitionDelay = animate && visible ? `${Number(delay.toFixed(3))}s` : '0s';
+        element.classList.toggle('visible', visible);
+      });
+    };
+    
     const timeline = {
-      elements: [],
-      delays: [],
-      play: () => this.playCSSTimeline(id),
-      pause: () => this.pauseCSSTimeline(id),
-      reverse: () => this.reverseCSSTimeline(id),
-      to: (element, duration, properties) => {
-        this.addCSSAnimation(id, element, properties);
+      play: () => {
+        setVisible(true, !this.shouldSkipAnimation());
         return timeline;
-      }
+      },
+      pause: (time) => {
+        if (time === 0) setVisible(false, false);
+        return timeline;
+      },
+      reverse: () => {
+        setVisible(false, !this.shouldSkipAnimation());
+        return timeline;
+      },
+      kill: () => {
+        entries.forEach(({ element, className }) => {
+          element.classList.remove(className, 'visible');
+          element.style.transitionDuration = '';
+          element.style.transitionDelay = '';
+        });
+      },
+      duration: () => end
     };
     
     this.timelines.set(id, timeline);
     return timeline;
   }
   
+  /**
+   * Map a timeline step's type (data-animate style, e.g. 'fade-up') to the
+   * animation type names used here ('fadeUp')
+   */
+  getTimelineStepType(step) {
+    return (step.type || 'fade-up').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+  }
+  
   /**
    * Animate element entrance
    */
@@ -203,7 +297,7 @@ export class AnimationController {
       return Promise.resolve();
     }
     
-    if (!this.isGSAPLoaded || !window.gsap) {
+    if (!this.isGSAPLoaded || !this.gsap) {
       return this.animateInCSS(element, type, options);
     }
     
@@ -219,10 +313,10 @@ export class AnimationController {
     const ease = options.ease || this.options.easing;
     
     // Set initial state
-    window.gsap.set(element, this.getInitialState(type));
+    this.gsap.set(element, this.getInitialState(type));
     
     // Animate to final state
-    return window.gsap.to(element, {
+    return this.gsap.to(element, {
       ...this.getFinalState(type),
       duration,
       delay,
@@ -252,6 +346,7 @@ export class AnimationController {
    */
   getInitialState(type) {
     const states = {
+      fadeIn: { opacity: 0 },
       fadeUp: { opacity: 0, y: 30 },
       fadeDown: { opacity: 0, y: -30 },
       fadeLeft: { opacity: 0, x: 30 },
@@ -283,6 +378,7 @@ export class AnimationController {
    */
   getCSSAnimationClass(type) {
     const classes = {
+      fadeIn: 'fade-in',
       fadeUp: 'fade-up',
       fadeDown: 'fade-down',
       fadeLeft: 'fade-left',
@@ -308,7 +404,7 @@ export class AnimationController {
     
     const stagger = options.stagger || this.options.stagger;
     
-    if (!this.isGSAPLoaded || !window.gsap) {
+    if (!this.isGSAPLoaded || !this.gsap) {
       return this.animateStaggerCSS(elements, type, options);
     }
     
@@ -324,10 +420,10 @@ export class AnimationController {
     const ease = options.ease || this.options.easing;
     
     // Set initial states
-    window.gsap.set(elements, this.getInitialState(type));
+    this.gsap.set(elements, this.getInitialState(type));
     
     // Animate with stagger
-    return window.gsap.to(elements, {
+    return this.gsap.to(elements, {
       ...this.getFinalState(type),
       duration,
       ease,
@@ -370,13 +466,13 @@ export class AnimationController {
     const ease = options.ease || 'power2.out';
     const startValue = options.startValue || 0;
     
-    if (!this.isGSAPLoaded || !window.gsap) {
+    if (!this.isGSAPLoaded || !this.gsap) {
       return this.animateCounterCSS(element, target, options);
     }
     
     const obj = { value: startValue };
     
-    return window.gsap.to(obj, {
+    return this.gsap.to(obj, {
       value: target,
       duration,
       ease,
@@ -428,35 +524,89 @@ export class AnimationController {
   }
   
   /**
-   * Create scroll-triggered animation
+   * Animate element exit, back to its entrance start state
    */
-  createScrollAnimation(element, animation, options = {}) {
-    if (!this.isGSAPLoaded || !window.gsap || !window.ScrollTrigger) {
+  animateOut(element, type = 'fadeUp', options = {}) {
+    if (this.shouldSkipAnimation()) {
+      return Promise.resolve();
+    }
+    
+    if (!this.isGSAPLoaded || !this.gsap) {
+      element.classList.remove('visible');
+      return Promise.resolve();
+    }
+    
+    return this.gsap.to(element, {
+      ...this.getInitialState(type),
+      duration: options.duration || this.options.duration,
+      ease: options.ease || this.options.easing
+    });
+  }
+  
+  /**
+   * Whether scroll animations run on GSAP ScrollTrigger rather than the
+   * engine's CSS classes
+   */
+  hasScrollTrigger() {
+    return Boolean(this.isGSAPLoaded && this.gsap && this.ScrollTrigger);
+  }
+  
+  /**
+   * Create scroll-triggered animation from options.type's start state
+   * ('fadeUp' by default) to `animation`. options.mode (or the element's
+   * data-animate-mode) picks once, replay, reverse-on-exit or scrub.
+   */
+  createScrollAnimation(element, animation = {}, options = {}) {
+    const mode = options.mode || element.dataset.animateMode || 'once';
+    const type = options.type || 'fadeUp';
+    
+    if (!this.hasScrollTrigger()) {
       // Fallback to intersection observer
-      return this.createScrollAnimationFallback(element, animation, options);
+      return this.createScrollAnimationFallback(element, animation, { ...options, mode });
     }
     
-    return window.gsap.to(element, {
+    if (this.shouldSkipAnimation()) {
+      this.showElementImmediately(element);
+      return null;
+    }
+    
+    const tween = this.gsap.fromTo(element, this.getInitialState(type), {
+      ...this.getFinalState(type),
+      duration: this.options.duration,
+      ease: this.options.easing,
       ...animation,
       scrollTrigger: {
         trigger: element,
         start: options.start || 'top 80%',
         end: options.end || 'bottom 20%',
-        toggleActions: options.toggleActions || 'play none none reverse',
+        ...(SCROLL_TRIGGER_MODES[mode] || SCROLL_TRIGGER_MODES.once),
         ...options.scrollTrigger
       }
     });
+    
+    this.scrollTriggers.push(tween.scrollTrigger);
+    return tween;
   }
   
   /**
-   * Fallback scroll animation using Intersection Observer
+   * Fallback scroll animation using Intersection Observer. Without
+   * ScrollTrigger there's no scrubbing: scrubbed animations play and
+   * reverse instead.
    */
   createScrollAnimationFallback(element, animation, options = {}) {
+    const type = options.type || 'fadeUp';
+    const mode = options.mode || 'once';
+    
     const observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
-          this.animateIn(element, 'fadeUp', options);
-          observer.unobserve(element);
+          this.animateIn(element, type, options);
+          
+          if (mode === 'once') {
+            observer.unobserve(element);
+          }
+        } else if (mode === 'replay' || entry.boundingClientRect.top > 0) {
+          this.animateOut(element, type, options);
         }
       });
     }, {
@@ -468,6 +618,140 @@ export class AnimationController {
     return observer;
   }
   
+  /**
+   * Set up a section type's scroll effects on a section element:
+   * - pin: selector of a child held on screen while the section scrolls by
+   * - scrub: [{ selector, from, to }] tweens that follow the scroll position
+   * - snap: progress points (0-1), or an increment, to settle on after scrolling
+   *
+   * Sections with a pinned child run from their top reaching the top of the
+   * viewport to their bottom reaching the bottom (the engine's
+   * pinnedProgress); others from entering to leaving the viewport (progress).
+   * Without ScrollTrigger, pinning falls back to position: sticky, scrubbing
+   * to the engine's progress (opacity, x, y, scale and rotation only) and
+   * snapping to a smooth scroll at the end of each scroll gesture.
+   */
+  createSectionScroll(element, config = {}) {
+    const pinned = config.pin ? element.querySelector(config.pin) : null;
+    const targets = (config.scrub || []).map(tween => ({
+      ...tween,
+      elements: Array.from(element.querySelectorAll(tween.selector))
+    }));
+    
+    if (!this.isGSAPLoaded || !this.ScrollTrigger) {
+      if (pinned) {
+        element.classList.add('has-pinned');
+        pinned.classList.add('scroll-pinned');
+      }
+      
+      const scroll = { element, config, pinned, targets, progress: 0 };
+      targets.forEach(target => this.applyScrubState(target, this.shouldSkipAnimation() ? 1 : 0));
+      this.sectionScrolls.push(scroll);
+      return scroll;
+    }
+    
+    const trigger = {
+      trigger: element,
+      start: pinned ? 'top top' : 'top bottom',
+      end: pinned ? 'bottom bottom' : 'bottom top'
+    };
+    
+    if (pinned) {
+      this.scrollTriggers.push(this.ScrollTrigger.create({ ...trigger, pin: pinned, pinSpacing: false }));
+    }
+    
+    targets.forEach(({ elements, from = {}, to = {} }) => {
+      if (!elements.length) return;
+      
+      if (this.shouldSkipAnimation()) {
+        this.gsap.set(elements, to);
+        return;
+      }
+      
+      const tween = this.gsap.fromTo(elements, from, { ...to, ease: 'none', scrollTrigger: { ...trigger, scrub: true } });
+      this.scrollTriggers.push(tween.scrollTrigger);
+    });
+    
+    if (config.snap !== undefined && !this.shouldSkipAnimation()) {
+      this.scrollTriggers.push(this.ScrollTrigger.create({
+        ...trigger,
+        snap: { snapTo: config.snap, duration: { min: 0.2, max: 0.6 }, ease: 'power1.inOut' }
+      }));
+    }
+    
+    return trigger;
+  }
+  
+  /**
+   * Fallback scrub: move a section's scrubbed elements to its progress
+   */
+  updateSectionScroll(element, { progress, pinnedProgress }) {
+    const scroll = this.sectionScrolls.find(item => item.element === element);
+    if (!scroll) return;
+    
+    scroll.progress = scroll.pinned ? pinnedProgress : progress;
+    
+    scroll.targets.forEach(target => {
+      this.applyScrubState(target, this.shouldSkipAnimation() ? 1 : scroll.progress);
+    });
+  }
+  
+  /**
+   * Set scrubbed elements to a point between their from and to states
+   */
+  applyScrubState({ elements, from = {}, to = {} }, progress) {
+    const value = key => {
+      const start = from[key] !== undefined ? from[key] : SCRUB_DEFAULTS[key];
+      const end = to[key] !== undefined ? to[key] : SCRUB_DEFAULTS[key];
+      return start + (end - start) * progress;
+    };
+    
+    const animates = key => from[key] !== undefined || to[key] !== undefined;
+    const transforms = ['x', 'y', 'scale', 'rotation'].some(animates);
+    
+    elements.forEach(element => {
+      if (animates('opacity')) {
+        element.style.opacity = value('opacity');
+      }
+      
+      if (transforms) {
+        element.style.transform = `translate(${value('x')}px, ${value('y')}px) scale(${value('scale')}) rotate(${value('rotation')}deg)`;
+      }
+    });
+  }
+  
+  /**
+   * Fallback snap: once scrolling stops inside a snapping section, scroll
+   * to its nearest snap point
+   */
+  snapSections() {
+    if (this.shouldSkipAnimation()) return;
+    
+    const scroll = this.sectionScrolls.find(item =>
+      item.config.snap !== undefined && item.progress > 0 && item.progress < 1
+    );
+    if (!scroll) return;
+    
+    const { snap } = scroll.config;
+    const points = Array.isArray(snap)
+      ? snap
+      : Array.from({ length: Math.floor(1 / snap) + 1 }, (value, index) => Math.min(index * snap, 1));
+    const nearest = points.reduce((best, point) =>
+      Math.abs(point - scroll.progress) < Math.abs(best - scroll.progress) ? point : best
+    );
+    
+    if (Math.abs(nearest - scroll.progress) < 0.001) return;
+    
+    const rect = scroll.element.getBoundingClientRect();
+    const top = rect.top + window.pageYOffset;
+    const viewportHeight = window.innerHeight;
+    const y = scroll.pinned
+      ? top + nearest * (rect.height - viewportHeight)
+      : top - viewportHeight + nearest * (rect.height + viewportHeight);
+    
+    window.scrollTo({ top: y, behavior: 'smooth' });
+  }
+  
   /**
    * Trigger initial animations for visible elements
    */
@@ -510,8 +794,8 @@ export class AnimationController {
     document.body.classList.add('animations-disabled');
     
     // Pause all GSAP animations
-    if (this.isGSAPLoaded && window.gsap) {
-      window.gsap.globalTimeline.pause();
+    if (this.isGSAPLoaded && this.gsap) {
+      this.gsap.globalTimeline.pause();
     }
     
     // Add CSS to disable transitions
@@ -536,8 +820,8 @@ export class AnimationController {
     document.body.classList.remove('animations-disabled');
     
     // Resume GSAP animations
-    if (this.isGSAPLoaded && window.gsap) {
-      window.gsap.globalTimeline.resume();
+    if (this.isGSAPLoaded && this.gsap) {
+      this.gsap.globalTimeline.resume();
     }
     
     // Remove disable styles
@@ -569,8 +853,8 @@ export class AnimationController {
     this.options = { ...this.options, ...newConfig };
     
     // Update GSAP defaults if loaded
-    if (this.isGSAPLoaded && window.gsap) {
-      window.gsap.defaults({
+    if (this.isGSAPLoaded && this.gsap) {
+      this.gsap.defaults({
         duration: this.options.duration,
         ease: this.options.easing
       });
@@ -607,6 +891,11 @@ export class AnimationController {
     });
     this.timelines.clear();
     
+    // Kill section scroll effects
+    this.scrollTriggers.forEach(trigger => trigger && trigger.kill());
+    this.scrollTriggers = [];
+    this.sectionScrolls = [];
+    
     // Clear animations
     this.animations.clear();
     
@@ -0,0 +1,87 @@
+/**
+ * CONTENT ERROR OVERLAY
+ *
+ * Development-only panel listing content validation errors with their file,
+ * JSON path and expected type
+ */
+
+import { formatValidationError } from './content-validator.js';
+
+export class ContentErrorOverlay {
+  constructor(options = {}) {
+    this.options = {
+      container: options.container || document.body,
+      title: options.title || 'Content validation',
+      ...options
+    };
+
+    this.element = null;
+  }
+
+  /**
+   * Show the overlay with a list of validation errors, replacing any previous list
+   */
+  show(errors) {
+    if (!errors.length) {
+      this.hide();
+      return;
+    }
+
+    if (!this.element) {
+      this.element = this.createElement();
+      this.options.container.appendChild(this.element);
+    }
+
+    const errorCount = errors.filter(error => error.severity !== 'warning').length;
+    const warningCount = errors.length - errorCount;
+
+    this.element.querySelector('.content-error-summary').textContent =
+      `${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+
+    const list = this.element.querySelector('.content-error-list');
+    list.replaceChildren(...errors.map(error => {
+      const item = document.createElement('li');
+      item.className = `content-error-item ${error.severity === 'warning' ? 'warning' : 'error'}`;
+      item.textContent = formatValidationError(error);
+      return item;
+    }));
+  }
+
+  /**
+   * Build the overlay element
+   */
+  createElement() {
+    const element = document.createElement('aside');
+    element.className = 'content-error-overlay';
+    element.setAttribute('role', 'alert');
+    element.innerHTML = `
+      <header class="content-error-header">
+        <strong>${this.options.title}</strong>
+        <span class="content-error-summary"></span>
+        <button type="button" class="content-error-close" aria-label="Dismiss content errors">×</button>
+      </header>
+      <ul class="content-error-list"></ul>
+    `;
+
+    element.querySelector('.content-error-close').addEventListener('click', () => this.hide());
+
+    return element;
+  }
+
+  /**
+   * Remove the overlay
+   */
+  hide() {
+    if (!this.element) return;
+
+    this.element.remove();
+    this.element = null;
+  }
+
+  /**
+   * Destroy the overlay
+   */
+  destroy() {
+    this.hide();
+  }
+}
@@ -5,21 +5,35 @@
  * Provides easy interface for updating presentation content
  */
 
+import { sectionTypes } from './sections/index.js';
+import { ContentValidator, formatValidationError } from './content-validator.js';
+import { ContentErrorOverlay } from './content-error-overlay.js';
+import { CONTENT_PATH, fetchContent } from './content-source.js';
+import { html } from './html.js';
+
 export class ContentManager {
   constructor(options = {}) {
     this.options = {
-      contentPath: options.contentPath || './content/',
+      contentPath: options.contentPath || CONTENT_PATH,
+      navSelector: options.navSelector || '.nav-sections',
+      sectionTypes: options.sectionTypes || sectionTypes,
       enableHotReload: options.enableHotReload || false,
       cacheContent: options.cacheContent !== false,
+      showErrorOverlay: options.showErrorOverlay !== false,
       ...options
     };
     
     this.contentCache = new Map();
     this.contentStructure = null;
     this.watchers = new Map();
+    this.validator = new ContentValidator({ sectionTypes: this.options.sectionTypes });
+    this.validationErrors = [];
+    this.errorOverlay = null;
     
     // Bind methods
     this.handleContentUpdate = this.handleContentUpdate.bind(this);
+    this.handleContentFileUpdate = this.handleContentFileUpdate.bind(this);
+    this.handleContentFileError = this.handleContentFileError.bind(this);
   }
   
   /**
@@ -48,18 +62,13 @@ export class ContentManager {
    */
   async loadContentStructure() {
     try {
-      const response = await fetch(`${this.options.contentPath}structure.json`);
-      if (!response.ok) {
-        throw new Error(`Failed to load content structure: ${response.status}`);
-      }
-      
-      this.contentStructure = await response.json();
+      this.contentStructure = await fetchContent('structure.json', this.options.contentPath);
       
       // Validate structure
       this.validateContentStructure();
       
     } catch (error) {
-      console.warn('Content structure not found, using default structure');
+      console.warn(`Content structure unavailable (${error.message}), using default structure`);
       this.contentStructure = this.getDefaultStructure();
     }
   }
@@ -83,20 +92,57 @@ export class ContentManager {
           title: "The Crisis",
           type: "crisis",
           contentFile: "crisis.json",
+          navLabel: "Current Context",
           mediaFiles: ["crisis-background.jpg"]
         },
+        {
+          id: "success-video",
+          title: "Success Stories",
+          type: "video",
+          contentFile: "videos.json",
+          contentKey: "successStories",
+          mediaFiles: []
+        },
         {
           id: "solution",
           title: "The Solution",
           type: "solution",
           contentFile: "solution.json",
+          navLabel: "Solution",
           mediaFiles: ["solution-background.jpg"]
         },
+        {
+          id: "spain-gallery",
+          title: "Spain Centers",
+          type: "gallery",
+          contentFile: "galleries.json",
+          contentKey: "spainCenters",
+          mediaFiles: []
+        },
+        {
+          id: "methodology-video",
+          title: "Methodology",
+          type: "methodology",
+          contentFile: "methodology.json",
+          className: "video-section dark",
+          mediaFiles: []
+        },
         {
           id: "implementation",
           title: "Implementation",
           type: "timeline",
           contentFile: "implementation.json",
+          className: "implementation-section",
+          navLabel: "Implementation",
+          mediaFiles: []
+        },
+        {
+          id: "team-gallery",
+          title: "Team",
+          type: "team",
+          contentFile: "galleries.json",
+          contentKey: "team",
+          className: "gallery-section light",
           mediaFiles: []
         },
         {
@@ -104,6 +150,7 @@ export class ContentManager {
           title: "Investment",
           type: "investment",
           contentFile: "investment.json",
+          navLabel: "Investment",
           mediaFiles: ["investment-background.jpg", "kate-bjur.jpg", "ben-knight.jpg"]
         }
       ],
@@ -115,19 +162,16 @@ export class ContentManager {
   }
   
   /**
-   * Validate content structure
+   * Validate content structure against the structure schema
    */
   validateContentStructure() {
-    if (!this.contentStructure.sections || !Array.isArray(this.contentStructure.sections)) {
-      throw new Error('Invalid content structure: sections must be an array');
-    }
+    const errors = this.validator.validateStructure(this.contentStructure);
+    this.recordValidationErrors(errors, error => error.file === 'structure.json');
     
-    // Validate each section
-    this.contentStructure.sections.forEach((section, index) => {
-      if (!section.id || !section.contentFile) {
-        throw new Error(`Invalid section at index ${index}: missing id or contentFile`);
-      }
-    });
+    const fatal = errors.find(error => error.severity === 'error');
+    if (fatal) {
+      throw new Error(`Invalid content structure: ${formatValidationError(fatal)}`);
+    }
   }
   
   /**
@@ -145,12 +189,13 @@ export class ContentManager {
     }
     
     try {
-      const response = await fetch(`${this.options.contentPath}${section.contentFile}`);
-      if (!response.ok) {
-        throw new Error(`Failed to load content for ${sectionId}: ${response.status}`);
-      }
+      const data = await fetchContent(section.contentFile, this.options.contentPath);
       
-      const content = await response.json();
+      // Shared files (videos.json, galleries.json) hold several sections
+      const content = section.contentKey ? data[section.contentKey] : data;
+      if (!content) {
+        throw new Error(`Key "${section.contentKey}" not found in ${section.contentFile}`);
+      }
       
       // Validate content
       this.validateSectionContent(content, section);
@@ -164,85 +209,62 @@ export class ContentManager {
       
     } catch (error) {
       console.error(`Error loading content for section ${sectionId}:`, error);
+      
+      // Unreadable files (bad JSON, missing key) show up with schema errors
+      this.recordValidationErrors([{
+        file: section.contentFile,
+        path: section.contentKey ? `$.${section.contentKey}` : '$',
+        message: error.message,
+        severity: 'error',
+        sectionId
+      }], stale => stale.sectionId === sectionId);
+      
       return this.getDefaultSectionContent(section);
     }
   }
   
   /**
-   * Validate section content
+   * Validate section content against its type's schema
    */
   validateSectionContent(content, section) {
-    // Basic validation - ensure required fields exist
-    if (!content.title && !content.heading) {
-      console.warn(`Section ${section.id} missing title/heading`);
-    }
+    const errors = this.validator.validateSection(content, section);
+    this.recordValidationErrors(errors, error => error.sectionId === section.id);
     
-    // Type-specific validation
-    switch (section.type) {
-      case 'hero':
-        this.validateHeroContent(content);
-        break;
-      case 'crisis':
-        this.validateCrisisContent(content);
-        break;
-      case 'solution':
-        this.validateSolutionContent(content);
-        break;
-      case 'timeline':
-        this.validateTimelineContent(content);
-        break;
-      case 'investment':
-        this.validateInvestmentContent(content);
-        break;
-    }
-  }
-  
-  /**
-   * Validate hero content
-   */
-  validateHeroContent(content) {
-    if (!content.title || !content.subtitle) {
-      console.warn('Hero section missing title or subtitle');
-    }
-    if (!content.stats || !Array.isArray(content.stats)) {
-      console.warn('Hero section missing stats array');
-    }
-  }
-  
-  /**
-   * Validate crisis content
-   */
-  validateCrisisContent(content) {
-    if (!content.statistics || !Array.isArray(content.statistics)) {
-      console.warn('Crisis section missing statistics array');
-    }
+    return errors;
   }
   
   /**
-   * Validate solution content
+   * Replace previously recorded errors matching a predicate and report the new ones
    */
-  validateSolutionContent(content) {
-    if (!content.comparison || !content.features) {
-      console.warn('Solution section missing comparison or features');
+  recordValidationErrors(errors, isStale) {
+    this.validationErrors = this.validationErrors.filter(error => !isStale(error)).concat(errors);
+    
+    errors.forEach(error => console.warn(`Content ${error.severity}: ${formatValidationError(error)}`));
+    
+    // Refresh the overlay, which also clears it once the errors are fixed
+    if (errors.length || this.errorOverlay) {
+      this.showValidationErrors();
     }
   }
   
   /**
-   * Validate timeline content
+   * Get all validation errors recorded since the content was loaded
    */
-  validateTimelineContent(content) {
-    if (!content.timeline || !Array.isArray(content.timeline)) {
-      console.warn('Timeline section missing timeline array');
-    }
+  getValidationErrors() {
+    return [...this.validationErrors];
   }
   
   /**
-   * Validate investment content
+   * Show validation errors in the development overlay
    */
-  validateInvestmentContent(content) {
-    if (!content.tiers || !Array.isArray(content.tiers)) {
-      console.warn('Investment section missing tiers array');
+  showValidationErrors() {
+    if (!this.options.showErrorOverlay || !this.isDevelopment()) return;
+    
+    if (!this.errorOverlay) {
+      this.errorOverlay = new ContentErrorOverlay();
     }
+    
+    this.errorOverlay.show(this.validationErrors);
   }
   
   /**
@@ -297,7 +319,71 @@ export class ContentManager {
   }
   
   /**
-   * Update section content
+   * Render every section in the content structure into a container
+   */
+  async renderSections(container) {
+    if (!container) {
+      throw new Error('No container to render sections into');
+    }
+    
+    const contentMap = await this.loadAllContent();
+    const fragment = document.createDocumentFragment();
+    
+    this.contentStructure.sections.forEach(section => {
+      fragment.appendChild(this.createSectionElement(section, contentMap.get(section.id)));
+    });
+    
+    container.innerHTML = '';
+    container.appendChild(fragment);
+    
+    this.renderNavigation();
+    
+    document.dispatchEvent(new CustomEvent('content:rendered', {
+      detail: { sections: this.contentStructure.sections.map(section => section.id) }
+    }));
+  }
+  
+  /**
+   * Create the element for a single section
+   */
+  createSectionElement(section, content) {
+    const element = document.createElement('section');
+    element.id = section.id;
+    element.className = `story-section ${section.className || `${section.type}-section`}`;
+    element.dataset.sectionType = section.type;
+    element.innerHTML = this.renderSectionMarkup(section, content);
+    
+    return element;
+  }
+  
+  /**
+   * Render the inner markup of a section with its type's renderer
+   */
+  renderSectionMarkup(section, content) {
+    return this.options.sectionTypes.get(section.type).render(content, section);
+  }
+  
+  /**
+   * Render navigation links for sections that declare a navLabel
+   */
+  renderNavigation() {
+    const navContainer = document.querySelector(this.options.navSelector);
+    if (!navContainer) return;
+    
+    // Links from a previous render are replaced; static links (e.g. Resources) stay
+    navContainer.querySelectorAll('[data-content-nav]').forEach(link => link.remove());
+    
+    const links = this.contentStructure.sections
+      .filter(section => section.navLabel)
+      .map(section => html`<a href="#${section.id}" class="nav-link" data-content-nav>${section.navLabel}</a>`);
+    
+    navContainer.insertAdjacentHTML('afterbegin', html`${links}`);
+  }
+  
+  /**
+   * Update section content. Content that fails its schema, or that its
+   * renderer throws on, is reported in the error overlay and the section
+   * keeps its last good render. Resolves to whether the section updated.
    */
   async updateSectionContent(sectionId, newContent) {
     try {
@@ -307,18 +393,38 @@ export class ContentManager {
         throw new Error(`Section ${sectionId} not found`);
       }
       
-      this.validateSectionContent(newContent, section);
+      const errors = this.validateSectionContent(newContent, section);
+      if (errors.some(error => error.severity === 'error')) {
+        console.warn(`Content for ${sectionId} is invalid; keeping the previous version`);
+        return false;
+      }
       
       // Update cache
+      const previousContent = this.contentCache.get(sectionId);
       this.contentCache.set(sectionId, newContent);
       
       // Update DOM
-      await this.updateSectionDOM(sectionId, newContent);
+      try {
+        await this.updateSectionDOM(sectionId, newContent);
+      } catch (error) {
+        this.contentCache.set(sectionId, previousContent);
+        
+        console.error(`Failed to render ${sectionId}:`, error);
+        this.recordValidationErrors([{
+          file: section.contentFile,
+          path: section.contentKey ? `$.${section.contentKey}` : '$',
+          message: `could not be rendered: ${error.message}`,
+          severity: 'error',
+          sectionId
+        }], stale => stale.sectionId === sectionId && stale.severity === 'error');
+        return false;
+      }
       
       // Dispatch update event
       this.dispatchContentUpdateEvent(sectionId, newContent);
       
       console.log(`Content updated for section: ${sectionId}`);
+      return true;
       
     } catch (error) {
       console.error(`Failed to update content for ${sectionId}:`, error);
@@ -337,201 +443,13 @@ export class ContentManager {
     }
     
     const section = this.contentStructure.sections.find(s => s.id === sectionId);
+    const definition = this.options.sectionTypes.get(section.type);
     
-    // Update based on section type
-    switch (section.type) {
-      case 'hero':
-        this.updateHeroDOM(sectionElement, content);
-        break;
-      case 'crisis':
-        this.updateCrisisDOM(sectionElement, content);
-        break;
-      case 'solution':
-        this.updateSolutionDOM(sectionElement, content);
-        break;
-      case 'timeline':
-        this.updateTimelineDOM(sectionElement, content);
-        break;
-      case 'investment':
-        this.updateInvestmentDOM(sectionElement, content);
-        break;
-      default:
-        this.updateGenericDOM(sectionElement, content);
-    }
-  }
-  
-  /**
-   * Update hero section DOM
-   */
-  updateHeroDOM(element, content) {
-    // Update title
-    const titleElement = element.querySelector('.hero-title');
-    if (titleElement && content.title) {
-      titleElement.innerHTML = content.title.split('\n').map(line => 
-        `<span class="title-line">${line}</span>`
-      ).join('');
-    }
-    
-    // Update subtitle
-    const subtitleElement = element.querySelector('.hero-subtitle');
-    if (subtitleElement && content.subtitle) {
-      subtitleElement.textContent = content.subtitle;
-    }
-    
-    // Update stats
-    if (content.stats) {
-      const statsContainer = element.querySelector('.hero-stats');
-      if (statsContainer) {
-        statsContainer.innerHTML = content.stats.map(stat => `
-          <div class="hero-stat">
-            <span class="stat-number">${stat.number}</span>
-            <span class="stat-label">${stat.label}</span>
-          </div>
-        `).join('');
-      }
-    }
-  }
-  
-  /**
-   * Update crisis section DOM
-   */
-  updateCrisisDOM(element, content) {
-    // Update title and subtitle
-    this.updateSectionHeader(element, content);
-    
-    // Update statistics
-    if (content.statistics) {
-      const statsContainer = element.querySelector('.crisis-stats');
-      if (statsContainer) {
-        statsContainer.innerHTML = content.statistics.map(stat => `
-          <div class="crisis-stat">
-            ${stat.prefix ? `<span class="stat-prefix">${stat.prefix}</span>` : ''}
-            <span class="stat-number" data-target="${stat.number}">0</span>
-            ${stat.suffix ? `<span class="stat-suffix">${stat.suffix}</span>` : ''}
-            <span class="stat-label">${stat.label}</span>
-            ${stat.context ? `<span class="stat-context">${stat.context}</span>` : ''}
-          </div>
-        `).join('');
-      }
-    }
-  }
-  
-  /**
-   * Update solution section DOM
-   */
-  updateSolutionDOM(element, content) {
-    this.updateSectionHeader(element, content);
-    
-    // Update comparison if present
-    if (content.comparison) {
-      const beforeElement = element.querySelector('.comparison-before');
-      const afterElement = element.querySelector('.comparison-after');
-      
-      if (beforeElement && content.comparison.before) {
-        this.updateComparisonSide(beforeElement, content.comparison.before);
-      }
-      
-      if (afterElement && content.comparison.after) {
-        this.updateComparisonSide(afterElement, content.comparison.after);
-      }
-    }
-  }
-  
-  /**
-   * Update comparison side
-   */
-  updateComparisonSide(element, data) {
-    const titleElement = element.querySelector('h3');
-    if (titleElement) {
-      titleElement.textContent = data.title;
-    }
-    
-    const statsContainer = element.querySelector('.comparison-stats');
-    if (statsContainer && data.stats) {
-      statsContainer.innerHTML = data.stats.map(stat => `
-        <div class="comparison-stat ${stat.type}">
-          <span class="stat-number">${stat.number}</span>
-          <span class="stat-label">${stat.label}</span>
-        </div>
-      `).join('');
-    }
-  }
-  
-  /**
-   * Update timeline section DOM
-   */
-  updateTimelineDOM(element, content) {
-    this.updateSectionHeader(element, content);
-    
-    if (content.timeline) {
-      const timelineContainer = element.querySelector('.timeline-track');
-      if (timelineContainer) {
-        timelineContainer.innerHTML = content.timeline.map((item, index) => `
-          <div class="timeline-item" data-year="${item.year}" data-animate="timeline">
-            <div class="timeline-marker"></div>
-            <div class="timeline-content">
-              <h3>${item.title}</h3>
-              <div class="timeline-duration">${item.duration} • ${item.budget}</div>
-              <p>${item.description}</p>
-              ${item.outcomes ? `
-                <ul class="timeline-outcomes">
-                  ${item.outcomes.map(outcome => `<li>${outcome}</li>`).join('')}
-                </ul>
-              ` : ''}
-            </div>
-          </div>
-        `).join('');
-      }
-    }
-  }
-  
-  /**
-   * Update investment section DOM
-   */
-  updateInvestmentDOM(element, content) {
-    this.updateSectionHeader(element, content);
-    
-    if (content.tiers) {
-      const tiersContainer = element.querySelector('.investment-tiers');
-      if (tiersContainer) {
-        tiersContainer.innerHTML = content.tiers.map(tier => `
-          <div class="tier-item" data-animate="slide-up">
-            <h4>${tier.title}</h4>
-            <div class="tier-amount">${tier.amount}</div>
-            <ul class="tier-benefits">
-              ${tier.benefits.map(benefit => `<li>${benefit}</li>`).join('')}
-            </ul>
-          </div>
-        `).join('');
-      }
-    }
-  }
-  
-  /**
-   * Update generic section DOM
-   */
-  updateGenericDOM(element, content) {
-    this.updateSectionHeader(element, content);
-    
-    // Update main content if present
-    const contentElement = element.querySelector('.section-content p, .section-description');
-    if (contentElement && content.content) {
-      contentElement.textContent = content.content;
-    }
-  }
-  
-  /**
-   * Update section header (title and subtitle)
-   */
-  updateSectionHeader(element, content) {
-    const titleElement = element.querySelector('.section-title, h1, h2');
-    if (titleElement && content.title) {
-      titleElement.textContent = content.title;
-    }
-    
-    const subtitleElement = element.querySelector('.section-subtitle');
-    if (subtitleElement && content.subtitle) {
-      subtitleElement.textContent = content.subtitle;
+    // Types can update in place; otherwise the section is re-rendered
+    if (definition.update) {
+      definition.update(sectionElement, content, section);
+    } else {
+      sectionElement.innerHTML = definition.render(content, section);
     }
   }
   
@@ -589,7 +507,12 @@ export class ContentManager {
    * Check if running in development mode
    */
   isDevelopment() {
-    return import.meta.env.DEV || process.env.NODE_ENV === 'development';
+    // import.meta.env is only defined when served or built by Vite
+    if (import.meta.env) {
+      return Boolean(import.meta.env.DEV);
+    }
+    
+    return typeof process !== 'undefined' && process.env.NODE_ENV === 'development';
   }
   
   /**
@@ -598,11 +521,16 @@ export class ContentManager {
   setupHotReload() {
     if (!this.isDevelopment()) return;
     
-    // This would integrate with Vite's HMR in a real implementation
-    console.log('Hot reload enabled for content updates');
-    
-    // Listen for content update events
+    // Programmatic updates
     document.addEventListener('content:update', this.handleContentUpdate);
+    
+    // File edits pushed by the Vite content plugin
+    if (import.meta.hot) {
+      import.meta.hot.on('content:update', this.handleContentFileUpdate);
+      import.meta.hot.on('content:error', this.handleContentFileError);
+    }
+    
+    console.log('Hot reload enabled for content updates');
   }
   
   /**
@@ -610,7 +538,50 @@ export class ContentManager {
    */
   handleContentUpdate(event) {
     const { sectionId, content } = event.detail;
-    this.updateSectionContent(sectionId, content);
+    
+    // Failures are logged and shown in the error overlay
+    this.updateSectionContent(sectionId, content).catch(() => {});
+  }
+  
+  /**
+   * Re-render only the sections whose content changed in an edited file
+   */
+  async handleContentFileUpdate({ file, data }) {
+    // A valid save clears any earlier parse error for the file
+    this.recordValidationErrors([], error => error.file === file && !error.sectionId);
+    
+    const sections = this.contentStructure.sections.filter(section => section.contentFile === file);
+    
+    for (const section of sections) {
+      const content = section.contentKey ? data[section.contentKey] : data;
+      if (!content) continue;
+      
+      // Shared files hold several sections; skip the ones that didn't change.
+      // Content matching the last good render (e.g. an invalid edit being
+      // reverted) is re-validated so errors from the rejected edit clear.
+      if (JSON.stringify(content) === JSON.stringify(this.contentCache.get(section.id))) {
+        this.validateSectionContent(content, section);
+        continue;
+      }
+      
+      try {
+        await this.updateSectionContent(section.id, content);
+      } catch (error) {
+        // Already logged; carry on with the file's other sections
+      }
+    }
+  }
+  
+  /**
+   * Report a content file that failed to parse after an edit
+   */
+  handleContentFileError({ file, message }) {
+    console.error(`Content file ${file} could not be loaded: ${message}`);
+    
+    this.recordValidationErrors(
+      [{ file, path: '$', message, severity: 'error' }],
+      error => error.file === file && !error.sectionId
+    );
   }
   
   /**
@@ -681,9 +652,19 @@ export class ContentManager {
     // Remove event listeners
     document.removeEventListener('content:update', this.handleContentUpdate);
     
+    if (import.meta.hot) {
+      import.meta.hot.off('content:update', this.handleContentFileUpdate);
+      import.meta.hot.off('content:error', this.handleContentFileError);
+    }
+    
     // Clear watchers
     this.watchers.clear();
     
+    if (this.errorOverlay) {
+      this.errorOverlay.destroy();
+      this.errorOverlay = null;
+    }
+    
     console.log('ContentManager destroyed');
   }
 }
\ No newline at end of file
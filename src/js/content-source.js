@@ -0,0 +1,32 @@
+/**
+ * CONTENT SOURCE
+ *
+ * Single place that resolves content JSON. The Vite content plugin serves
+ * content/ in development and emits it into the build; when the build inlines
+ * content, files are read from the bundle instead of fetched.
+ */
+
+/* global __DIAGRAMA_CONTENT__ */
+
+// Relative to the page in builds (base './'), root-relative in development
+export const CONTENT_PATH = `${(import.meta.env && import.meta.env.BASE_URL) || '/'}content/`;
+
+// Replaced by the content plugin at build time; undefined outside Vite
+const inlineContent = typeof __DIAGRAMA_CONTENT__ !== 'undefined' ? __DIAGRAMA_CONTENT__ : null;
+
+/**
+ * Load a content file by name, e.g. 'galleries.json'
+ */
+export async function fetchContent(file, contentPath = CONTENT_PATH) {
+  if (inlineContent && Object.prototype.hasOwnProperty.call(inlineContent, file)) {
+    // Copy so callers can't mutate the bundled original
+    return JSON.parse(JSON.stringify(inlineContent[file]));
+  }
+
+  const response = await fetch(`${contentPath}${file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${file}: ${response.status}`);
+  }
+
+  return response.json();
+}
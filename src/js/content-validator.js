@@ -0,0 +1,123 @@
+/**
+ * CONTENT VALIDATOR
+ *
+ * Validates structure.json and section content files against JSON Schemas.
+ * Shared by the ContentManager (browser) and scripts/validate-content.mjs
+ * (node), so both report the same file, JSON path and expected type.
+ */
+
+import { validateSchema } from './schema-validator.js';
+import { sectionTypes } from './sections/index.js';
+
+export const STRUCTURE_FILE = 'structure.json';
+
+export const structureSchema = {
+  type: 'object',
+  required: ['sections'],
+  properties: {
+    version: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    globalContent: { type: 'object', additionalProperties: { type: 'string' } },
+    theme: { type: 'object', additionalProperties: { type: 'string' } },
+    settings: { type: 'object', additionalProperties: { type: 'boolean' } },
+    sections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'contentFile'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+          title: { type: 'string' },
+          type: { type: 'string', minLength: 1 },
+          contentFile: { type: 'string', pattern: '\\.json$' },
+          contentKey: { type: 'string', minLength: 1 },
+          className: { type: 'string' },
+          navLabel: { type: 'string', minLength: 1 },
+          mediaFiles: { type: 'array', items: { type: 'string' } },
+          priority: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+export class ContentValidator {
+  constructor(options = {}) {
+    this.options = {
+      sectionTypes: options.sectionTypes || sectionTypes,
+      ...options
+    };
+  }
+
+  /**
+   * Validate structure.json, including unique section ids
+   */
+  validateStructure(structure) {
+    const errors = validateSchema(structure, structureSchema);
+    const sections = structure && Array.isArray(structure.sections) ? structure.sections : [];
+    const seen = new Set();
+
+    sections.forEach((section, index) => {
+      if (!section || typeof section.id !== 'string') return;
+
+      if (seen.has(section.id)) {
+        errors.push({
+          path: `$.sections[${index}].id`,
+          message: `duplicate section id "${section.id}"`,
+          expected: 'unique string',
+          actual: 'string'
+        });
+      }
+      seen.add(section.id);
+
+      if (section.type && !this.options.sectionTypes.has(section.type)) {
+        errors.push({
+          path: `$.sections[${index}].type`,
+          message: `unknown section type "${section.type}", rendered as generic`,
+          expected: `one of ${this.options.sectionTypes.getTypes().join(', ')}`,
+          actual: 'string',
+          severity: 'warning'
+        });
+      }
+    });
+
+    return errors.map(error => this.withFile(error, STRUCTURE_FILE));
+  }
+
+  /**
+   * Validate a section's content against its type schema. Paths are reported
+   * relative to the content file, so keyed sections start at $.contentKey
+   */
+  validateSection(content, section) {
+    const { schema } = this.options.sectionTypes.get(section.type);
+    if (!schema) return [];
+
+    const root = section.contentKey ? `$.${section.contentKey}` : '$';
+
+    return validateSchema(content, schema, root)
+      .map(error => this.withFile({ ...error, sectionId: section.id }, section.contentFile));
+  }
+
+  /**
+   * Attach the file name and default severity to an error
+   */
+  withFile(error, file) {
+    return { severity: 'error', ...error, file };
+  }
+}
+
+/**
+ * Format a validation error as a single readable line
+ */
+export function formatValidationError(error) {
+  const expected = error.expected && !error.message.includes(error.expected)
+    ? ` (expected ${error.expected})`
+    : '';
+
+  const location = [error.file, error.path].filter(Boolean).join(' ');
+
+  return `${location ? `${location}: ` : ''}${error.message}${expected}`;
+}
@@ -0,0 +1,116 @@
+/**
+ * COUNTERS
+ *
+ * Statistics written as they appear in the content ("49-96%", "$3,322",
+ * "40,000+", "13.6%") count up from zero. The text is split into numbers and
+ * the literal text around them; each number counts on its own and is
+ * formatted for en-AU with the decimals and thousands separators it was
+ * written with, so the last frame reads exactly like the content.
+ *
+ * Screen readers get the final text once; the counting copy is hidden.
+ */
+
+import { html } from './html.js';
+import { renderCitation } from './sections/markup.js';
+
+const LOCALE = 'en-AU';
+
+// "3,322", "13.6", "40,000.5" or "35"
+const NUMBER_PATTERN = /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g;
+const CITATION_PATTERN = /\s*\[(\d+)\]/g;
+
+// Parsed counter text, keyed by the source string
+const parsedCounters = new Map();
+
+// Current progress per counter element; rendered counters start complete
+const counterProgress = new WeakMap();
+
+/**
+ * Split counter text into literal and numeric parts
+ */
+export function parseCounter(text = '') {
+  if (parsedCounters.has(text)) return parsedCounters.get(text);
+
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: text.slice(lastIndex, match.index) });
+    }
+
+    const [whole, fraction = ''] = match[0].split('.');
+    parts.push({
+      value: parseFloat(match[0].replace(/,/g, '')),
+      format: new Intl.NumberFormat(LOCALE, {
+        minimumFractionDigits: fraction.length,
+        maximumFractionDigits: fraction.length,
+        useGrouping: whole.includes(',')
+      })
+    });
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ text: text.slice(lastIndex) });
+  }
+
+  parsedCounters.set(text, parts);
+  return parts;
+}
+
+/**
+ * Format counter text with every number at a fraction (0-1) of its value
+ */
+export function formatCounter(text, progress = 1) {
+  return parseCounter(text).map(part =>
+    part.format ? part.format.format(part.value * progress) : part.text
+  ).join('');
+}
+
+/**
+ * Render a stat number as a counter. Inline [n] markers become citation
+ * links after it; text without numbers ("Safe") renders as-is.
+ */
+export function renderCounter(text = '') {
+  const refs = [];
+  const value = String(text).replace(CITATION_PATTERN, (match, ref) => {
+    refs.push(ref);
+    return '';
+  }).trim();
+
+  const citations = refs.map(ref => renderCitation(ref));
+
+  if (!parseCounter(value).some(part => part.format)) {
+    return html`${value}${citations}`;
+  }
+
+  return html`<span class="counter" data-counter="${value}"><span class="sr-only">${value}</span><span class="counter-value" aria-hidden="true">${value}</span></span>${citations}`;
+}
+
+/**
+ * Find the counters in an element, or the element itself
+ */
+export function getCounters(element) {
+  if (element.matches('[data-counter]')) return [element];
+  return Array.from(element.querySelectorAll('[data-counter]'));
+}
+
+/**
+ * Show a counter at a fraction (0-1) of its final value
+ */
+export function setCounterProgress(element, progress) {
+  const value = element.querySelector('.counter-value');
+  if (!value) return;
+
+  counterProgress.set(element, progress);
+  value.textContent = formatCounter(element.dataset.counter, progress);
+}
+
+/**
+ * Get how far a counter has counted (0-1)
+ */
+export function getCounterProgress(element) {
+  return counterProgress.has(element) ? counterProgress.get(element) : 1;
+}
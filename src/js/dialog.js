@@ -0,0 +1,161 @@
+/**
+ * DIALOG
+ *
+ * Modal dialog behaviour for overlays such as the gallery lightbox and the
+ * video modal. While open:
+ * - the element is a labelled role="dialog" with aria-modal="true"
+ * - focus moves into it, and Tab/Shift+Tab cycle inside it
+ * - the rest of the page is inert and doesn't scroll
+ * - Escape asks it to close
+ * Closing returns focus to the element that opened it, or to one the caller
+ * names instead.
+ *
+ * The dialog element must be a direct child of <body>, so that every sibling
+ * can be made inert.
+ */
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  'video[controls]',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+export class Dialog {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      label: options.label || null,
+      labelledBy: options.labelledBy || null,
+      // Called for Escape; defaults to close()
+      onClose: options.onClose || null,
+      ...options
+    };
+
+    this.isOpen = false;
+    this.returnFocus = null;
+    this.inertElements = [];
+    this.previousOverflow = '';
+
+    // Bind methods
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('tabindex', '-1');
+    if (this.options.labelledBy) {
+      this.element.setAttribute('aria-labelledby', this.options.labelledBy);
+    } else if (this.options.label) {
+      this.element.setAttribute('aria-label', this.options.label);
+    }
+  }
+
+  /**
+   * Open the dialog and move focus into it
+   */
+  open({ returnFocus = document.activeElement, initialFocus = null } = {}) {
+    if (this.isOpen) return;
+
+    this.isOpen = true;
+    this.returnFocus = returnFocus;
+
+    this.setBackgroundInert(true);
+    this.previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    this.element.addEventListener('keydown', this.handleKeydown);
+
+    const target = initialFocus || this.getFocusableElements()[0] || this.element;
+    target.focus();
+  }
+
+  /**
+   * Close the dialog and return focus
+   */
+  close({ returnFocus = this.returnFocus } = {}) {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+
+    this.element.removeEventListener('keydown', this.handleKeydown);
+    this.setBackgroundInert(false);
+    document.body.style.overflow = this.previousOverflow;
+
+    if (returnFocus && typeof returnFocus.focus === 'function' && returnFocus.isConnected) {
+      returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  /**
+   * Keep Tab inside the dialog and close on Escape
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (this.options.onClose) {
+        this.options.onClose();
+      } else {
+        this.close();
+      }
+      return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = this.getFocusableElements();
+    if (!focusable.length) {
+      event.preventDefault();
+      this.element.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && (document.activeElement === first || document.activeElement === this.element)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Focusable elements inside the dialog, in tab order
+   */
+  getFocusableElements() {
+    return Array.from(this.element.querySelectorAll(FOCUSABLE)).filter(element =>
+      !element.hidden && !element.closest('[hidden], [inert]') && element.getClientRects().length > 0
+    );
+  }
+
+  /**
+   * Make everything outside the dialog inert, or undo it. Elements that
+   * were already inert are left alone.
+   */
+  setBackgroundInert(inert) {
+    if (inert) {
+      this.inertElements = Array.from(document.body.children).filter(element =>
+        element !== this.element && !element.hasAttribute('inert')
+      );
+      this.inertElements.forEach(element => element.setAttribute('inert', ''));
+    } else {
+      this.inertElements.forEach(element => element.removeAttribute('inert'));
+      this.inertElements = [];
+    }
+  }
+
+  /**
+   * Close if open and stop listening
+   */
+  destroy() {
+    this.close({ returnFocus: null });
+  }
+}
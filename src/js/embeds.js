@@ -0,0 +1,309 @@
+/**
+ * VIDEO EMBEDS
+ *
+ * Turns the video fields in videos.json (embedCode, youtubeId, vimeoId) into
+ * player markup. Pasted embed code is never inserted as-is: only its source
+ * URL is read, checked against an allowlist of providers and rebuilt with a
+ * fixed set of iframe attributes. Anything else renders a placeholder.
+ *
+ * Third-party players render as click-to-load facades: a poster, title and
+ * play button, with the iframe only injected when the viewer presses play.
+ */
+
+import { html } from './html.js';
+import { resolveAsset } from './sections/markup.js';
+import { renderTracks, renderTranscript } from './video-tracks.js';
+
+const IFRAME_SANDBOX = 'allow-scripts allow-same-origin allow-presentation allow-popups';
+
+export const EMBED_PROVIDERS = {
+  descript: {
+    name: 'Descript',
+    match(url) {
+      const match = url.hostname === 'share.descript.com' && url.pathname.match(/^\/(?:embed|view)\/([\w-]+)\/?$/);
+      return match ? match[1] : null;
+    },
+    src: id => `https://share.descript.com/embed/${id}`,
+    host: 'descript.com',
+    allow: 'autoplay; fullscreen; picture-in-picture'
+  },
+
+  youtube: {
+    name: 'YouTube',
+    match(url) {
+      const host = url.hostname.replace(/^(www\.|m\.)/, '');
+      let id = null;
+
+      if (host === 'youtu.be') {
+        id = url.pathname.slice(1);
+      } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        const embed = url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/);
+        id = embed ? embed[1] : url.pathname === '/watch' ? url.searchParams.get('v') : null;
+      }
+
+      return isYouTubeId(id) ? id : null;
+    },
+    // Privacy-enhanced mode: no cookies until the viewer plays the video
+    src: id => `https://www.youtube-nocookie.com/embed/${id}?rel=0&modestbranding=1&playsinline=1`,
+    autoplay: src => `${src}&autoplay=1`,
+    poster: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+    host: 'youtube-nocookie.com',
+    allow: 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture'
+  },
+
+  vimeo: {
+    name: 'Vimeo',
+    match(url) {
+      const host = url.hostname.replace(/^www\./, '');
+      const match = (host === 'vimeo.com' && url.pathname.match(/^\/(\d+)\/?$/))
+        || (host === 'player.vimeo.com' && url.pathname.match(/^\/video\/(\d+)\/?$/));
+      return match ? match[1] : null;
+    },
+    src: id => `https://player.vimeo.com/video/${id}?playsinline=1`,
+    autoplay: src => `${src}&autoplay=1`,
+    host: 'vimeo.com',
+    allow: 'autoplay; fullscreen; picture-in-picture'
+  },
+
+  local: {
+    name: 'local files in /assets/videos/',
+    match(url, raw) {
+      // Site-relative video files only, never other origins
+      return /^\/?assets\/videos\/[\w./-]+\.(mp4|webm|ogv)$/i.test(raw) && !raw.includes('..') ? raw.replace(/^\/?/, '/') : null;
+    },
+    src: path => path
+  }
+};
+
+/**
+ * Check a YouTube video id
+ */
+function isYouTubeId(id) {
+  return typeof id === 'string' && /^[\w-]{11}$/.test(id);
+}
+
+/**
+ * Read the source URL from pasted embed code or a bare share link
+ */
+export function extractEmbedURL(embedCode) {
+  const code = String(embedCode).trim();
+  const tag = code.match(/<(?:iframe|video|source)\b[^>]*?\bsrc\s*=\s*(["'])(.*?)\1/i);
+
+  if (tag) return tag[2].replace(/&amp;/g, '&');
+  if (code.startsWith('<')) return null;
+
+  return code;
+}
+
+/**
+ * Match a URL against the provider allowlist
+ */
+export function matchEmbedURL(raw) {
+  if (!raw) return null;
+
+  let url;
+  try {
+    url = new URL(raw, 'https://local.invalid/');
+  } catch (error) {
+    return null;
+  }
+
+  const isLocal = url.hostname === 'local.invalid';
+
+  for (const [provider, definition] of Object.entries(EMBED_PROVIDERS)) {
+    if (isLocal !== (provider === 'local')) continue;
+
+    const id = definition.match(url, raw);
+    if (id) return { provider, id, src: definition.src(id) };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a video entry to an allowlisted embed
+ *
+ * Returns { provider, id, src } or { rejected: reason } when the entry can't
+ * be embedded, or null when it has no source at all.
+ * Priority: embedCode > youtubeId > vimeoId
+ */
+export function resolveEmbed(video = {}) {
+  const embedCode = typeof video.embedCode === 'string' ? video.embedCode.trim() : '';
+  const youtubeId = typeof video.youtubeId === 'string' ? video.youtubeId.trim() : '';
+  const vimeoId = typeof video.vimeoId === 'string' ? video.vimeoId.trim() : '';
+
+  if (embedCode) {
+    const url = extractEmbedURL(embedCode);
+    if (!url) {
+      return { rejected: 'embed code has no iframe or video source' };
+    }
+
+    return matchEmbedURL(url) || {
+      rejected: `embed source ${url} is not from an allowed provider (${Object.values(EMBED_PROVIDERS).map(provider => provider.name).join(', ')})`
+    };
+  }
+
+  if (youtubeId) {
+    return isYouTubeId(youtubeId)
+      ? { provider: 'youtube', id: youtubeId, src: EMBED_PROVIDERS.youtube.src(youtubeId) }
+      : { rejected: `"${youtubeId}" is not a YouTube video id` };
+  }
+
+  if (vimeoId) {
+    return /^\d+$/.test(vimeoId)
+      ? { provider: 'vimeo', id: vimeoId, src: EMBED_PROVIDERS.vimeo.src(vimeoId) }
+      : { rejected: `"${vimeoId}" is not a Vimeo video id` };
+  }
+
+  return null;
+}
+
+/**
+ * Render the player for an embed resolved by resolveEmbed(). Caption and
+ * audio description tracks from the entry apply to local files only.
+ */
+export function renderPlayer(embed, title = 'Video', entry = {}) {
+  if (embed.provider === 'local') {
+    return html`<video src="${embed.src}" controls preload="metadata" playsinline aria-label="${title}">${renderTracks(entry)}</video>`;
+  }
+
+  return html`
+    <iframe
+      src="${embed.src}"
+      title="${title}"
+      allow="${EMBED_PROVIDERS[embed.provider].allow}"
+      sandbox="${IFRAME_SANDBOX}"
+      referrerpolicy="strict-origin-when-cross-origin"
+      loading="lazy"
+      allowfullscreen></iframe>
+  `;
+}
+
+/**
+ * Render the placeholder shown instead of a video
+ */
+export function renderVideoPlaceholder(message, detail) {
+  return html`
+    <div class="video-placeholder" role="note">
+      <div class="placeholder-content">
+        <h4>${message}</h4>
+        ${detail ? html`<small>${detail}</small>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Poster image for an embed: the entry's poster or thumbnail, or the
+ * provider's own where it has one
+ */
+export function getPosterSrc(embed, video = {}) {
+  const provider = EMBED_PROVIDERS[embed.provider];
+  const poster = video.poster || video.thumbnail;
+  return poster ? resolveAsset(poster, 'images') : (provider.poster ? provider.poster(embed.id) : null);
+}
+
+/**
+ * Tell viewers a third-party player loads content from elsewhere; local
+ * files need no notice
+ */
+export function getProviderNotice(embed) {
+  if (embed.provider === 'local') return '';
+
+  const provider = EMBED_PROVIDERS[embed.provider];
+  return `Plays from ${provider.name}. Pressing play loads content from ${provider.host}, which may set cookies.`;
+}
+
+/**
+ * Render the click-to-load facade for a third-party embed
+ */
+export function renderFacade(embed, video = {}) {
+  const title = video.title || video.description || 'Video';
+  const posterSrc = getPosterSrc(embed, video);
+
+  return html`
+    <div class="video-embed-container video-facade ${embed.provider}-embed" data-provider="${embed.provider}" data-embed-src="${embed.src}" data-embed-title="${title}">
+      ${posterSrc ? html`<img class="facade-poster" src="${posterSrc}" alt="" loading="lazy">` : ''}
+      <button type="button" class="facade-play" aria-label="Play video: ${title}">
+        <svg width="64" height="64" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>
+      </button>
+      <div class="facade-info">
+        <span class="facade-title">${title}</span>
+        <span class="facade-notice">${getProviderNotice(embed)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render a video entry as a facade (or local player), a rejection
+ * placeholder, or nothing when the entry has no source. Entries with a
+ * transcript are wrapped together with their transcript panel.
+ */
+export function renderEmbed(video = {}, options = {}) {
+  const { facade = true } = options;
+  const embed = resolveEmbed(video);
+  if (!embed) return '';
+
+  if (embed.rejected) {
+    console.warn(`Video embed rejected: ${embed.rejected}`);
+    return renderVideoPlaceholder('This video is unavailable', embed.rejected);
+  }
+
+  // Local files load nothing third-party, so they need no facade
+  const player = facade && embed.provider !== 'local'
+    ? renderFacade(embed, video)
+    : html`
+      <div class="video-embed-container ${embed.provider}-embed" data-provider="${embed.provider}">
+        ${renderPlayer(embed, video.title || video.description || 'Video', video)}
+      </div>
+    `;
+
+  const transcript = renderTranscript(video);
+  if (!transcript) return player;
+
+  return html`
+    <div class="video-with-transcript">
+      ${player}
+      ${transcript}
+    </div>
+  `;
+}
+
+/**
+ * Replace a facade with its player, starting playback where the provider allows
+ */
+export function activateVideoFacade(facade) {
+  // The source is checked again rather than trusted from the DOM
+  const embed = matchEmbedURL(facade.dataset.embedSrc);
+  if (!embed || embed.provider !== facade.dataset.provider) return null;
+
+  const provider = EMBED_PROVIDERS[embed.provider];
+  const src = provider.autoplay ? provider.autoplay(embed.src) : embed.src;
+
+  facade.innerHTML = String(renderPlayer({ ...embed, src }, facade.dataset.embedTitle));
+  facade.classList.remove('video-facade');
+  facade.classList.add('video-facade-active');
+
+  const player = facade.querySelector('iframe');
+  if (player) player.focus();
+
+  facade.dispatchEvent(new CustomEvent('media:embedactivated', {
+    bubbles: true,
+    detail: { provider: embed.provider, src }
+  }));
+
+  return player;
+}
+
+/**
+ * Delegated click handler that activates the facade containing the target
+ */
+export function handleFacadeClick(event) {
+  const button = event.target.closest && event.target.closest('.video-facade .facade-play');
+  if (!button) return;
+
+  event.preventDefault();
+  activateVideoFacade(button.closest('.video-facade'));
+}
+
@@ -0,0 +1,405 @@
+/**
+ * PHOTO GALLERY
+ *
+ * The one gallery component: renderGallery() turns a list of images into a
+ * grid for any section to include in its markup, and GalleryLightbox opens
+ * any rendered gallery full-screen. The lightbox reads everything it shows
+ * from the gallery's markup, so it needs no reference to the content.
+ *
+ * Options (all optional):
+ *   layout    'masonry' (default): large images span two columns
+ *             'grid': every image the same size
+ *   isLarge   (image, index) => boolean, which images are large in masonry;
+ *             defaults to images with "size": "large"
+ *   sizes     { normal, large } sizes attributes for the two image sizes
+ *   captions  'overlay' (default): title and description shown on hover
+ *             'below': shown under each image
+ *             'none': only shown in the lightbox
+ *   lightbox  true (default) to open images full-screen when clicked
+ *
+ * The lightbox reports what it shows as gallery:open, gallery:change and
+ * gallery:close events ({ sectionId, view: 'photo', item, gallery, index },
+ * item being the 1-based photo number) for the navigation
+ * controller to mirror in the URL, and follows navigation:photo and
+ * navigation:photoclose back from it.
+ *
+ * On touch screens the photo can be swiped, pinched and double-tapped (see
+ * lightbox-gestures.js). Each photo is loaded, in the manifest variant that
+ * fits the screen, before it replaces the current one, and its neighbours
+ * are preloaded so browsing doesn't wait.
+ *
+ * The lightbox is a modal Dialog. Each tile has a button to open it, and
+ * closing returns focus to the tile of the photo last shown.
+ */
+
+import { Dialog } from './dialog.js';
+import { html } from './html.js';
+import { LightboxGestures } from './lightbox-gestures.js';
+import { IMAGE_SIZES, pickImageVariant, renderImage } from './responsive-images.js';
+import { resolveAsset } from './sections/markup.js';
+
+export const GALLERY_DEFAULTS = {
+  layout: 'masonry',
+  isLarge: image => image.size === 'large',
+  sizes: { normal: IMAGE_SIZES.gallery, large: IMAGE_SIZES.galleryLarge },
+  captions: 'overlay',
+  lightbox: true
+};
+
+/**
+ * Merge gallery options over the defaults, ignoring unset values
+ */
+export function getGalleryOptions(options = {}) {
+  const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return { ...GALLERY_DEFAULTS, ...defined };
+}
+
+/**
+ * Render a gallery grid
+ */
+export function renderGallery(images = [], options = {}) {
+  const { layout, isLarge, sizes, captions, lightbox } = getGalleryOptions(options);
+  const label = (image, index) => `View image ${index + 1} of ${images.length}${image.title ? `: ${image.title}` : ''}`;
+
+  return html`
+    <div class="gallery-grid gallery-${layout} gallery-captions-${captions}"${lightbox ? html` data-lightbox` : ''}>
+      ${images.map((image, index) => {
+        const large = layout === 'masonry' && isLarge(image, index);
+        const src = resolveAsset(image.src, 'images');
+
+        return html`
+          <figure class="gallery-item${large ? ' large' : ''}" data-gallery-index="${index}" data-src="${src}" data-title="${image.title || ''}" data-description="${image.description || ''}">
+            ${renderImage(src, { alt: image.alt, sizes: large ? sizes.large : sizes.normal })}
+            ${captions !== 'none' && image.title ? html`
+              <figcaption class="${captions === 'below' ? 'gallery-caption' : 'gallery-overlay'}">
+                <h4>${image.title}</h4>
+                ${image.description ? html`<p>${image.description}</p>` : ''}
+              </figcaption>
+            ` : ''}
+            ${lightbox ? html`<button type="button" class="gallery-item-open" aria-label="${label(image, index)}"></button>` : ''}
+          </figure>
+        `;
+      })}
+    </div>
+  `;
+}
+
+export class GalleryLightbox {
+  constructor(options = {}) {
+    this.options = {
+      selector: options.selector || '[data-lightbox] .gallery-item',
+      ...options
+    };
+
+    this.element = null;
+    this.dialog = null;
+    this.gestures = null;
+    this.gallery = null;
+    this.currentIndex = 0;
+    this.isOpen = false;
+
+    // Load promises by image URL, shared by preloading and display
+    this.imageLoads = new Map();
+
+    // Bind methods
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handlePhotoRoute = this.handlePhotoRoute.bind(this);
+    this.handlePhotoClose = this.handlePhotoClose.bind(this);
+  }
+
+  /**
+   * Open galleries from clicks anywhere in the document, including
+   * galleries rendered later
+   */
+  init() {
+    document.addEventListener('click', this.handleClick);
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('navigation:photo', this.handlePhotoRoute);
+    document.addEventListener('navigation:photoclose', this.handlePhotoClose);
+  }
+
+  /**
+   * Delegated click handler for gallery items
+   */
+  handleClick(event) {
+    const item = event.target.closest && event.target.closest(this.options.selector);
+    if (!item) return;
+
+    this.open(item.closest('.gallery-grid'), Number(item.dataset.galleryIndex));
+  }
+
+  /**
+   * Open the photo a URL points at ({ sectionId, item }, item 1-based)
+   */
+  handlePhotoRoute(event) {
+    const { sectionId } = event.detail;
+    const photo = Number(event.detail.item);
+    const section = document.getElementById(sectionId);
+    const gallery = section && section.querySelector('.gallery-grid[data-lightbox]');
+    if (!gallery || !(photo >= 1 && photo <= gallery.querySelectorAll('.gallery-item').length)) return;
+
+    this.open(gallery, photo - 1, { notify: false });
+  }
+
+  /**
+   * Close when the URL leaves a photo (e.g. the back button)
+   */
+  handlePhotoClose() {
+    this.close({ notify: false });
+  }
+
+  /**
+   * Keyboard navigation while open
+   */
+  handleKeydown(event) {
+    if (!this.isOpen) return;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.previous();
+        break;
+      case 'ArrowRight':
+        this.next();
+        break;
+    }
+  }
+
+  /**
+   * Create the lightbox markup on first use
+   */
+  createElement() {
+    const lightbox = document.createElement('div');
+    lightbox.className = 'gallery-lightbox';
+    lightbox.innerHTML = `
+      <div class="lightbox-overlay"></div>
+      <div class="lightbox-content">
+        <button type="button" class="lightbox-close" aria-label="Close photo viewer">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+        <button type="button" class="lightbox-prev" aria-label="Previous image">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M15.41 7.41L14 6l-6 6 6 6 1.41-1.41L10.83 12z"/>
+          </svg>
+        </button>
+        <button type="button" class="lightbox-next" aria-label="Next image">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/>
+          </svg>
+        </button>
+        <div class="lightbox-image-container">
+          <img class="lightbox-image" src="" alt="">
+        </div>
+        <div class="lightbox-info">
+          <h3 class="lightbox-title"></h3>
+          <p class="lightbox-description"></p>
+          <div class="lightbox-counter" aria-hidden="true"></div>
+        </div>
+        <p class="lightbox-status sr-only" aria-live="polite"></p>
+      </div>
+    `;
+
+    lightbox.querySelector('.lightbox-overlay').addEventListener('click', () => this.close());
+    lightbox.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+    lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.previous());
+    lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.next());
+
+    this.dialog = new Dialog(lightbox, {
+      label: 'Photo viewer',
+      onClose: () => this.close()
+    });
+
+    this.gestures = new LightboxGestures(lightbox.querySelector('.lightbox-image-container'), {
+      image: lightbox.querySelector('.lightbox-image'),
+      root: lightbox,
+      onNext: () => this.next(),
+      onPrevious: () => this.previous(),
+      onClose: () => this.close()
+    });
+    this.gestures.init();
+
+    document.body.appendChild(lightbox);
+    return lightbox;
+  }
+
+  /**
+   * Get the items of the open gallery
+   */
+  getItems() {
+    return this.gallery ? Array.from(this.gallery.querySelectorAll('.gallery-item')) : [];
+  }
+
+  /**
+   * Get the open button of the current photo's tile
+   */
+  getTileButton() {
+    const item = this.getItems()[this.currentIndex];
+    return item ? item.querySelector('.gallery-item-open') : null;
+  }
+
+  /**
+   * Open a gallery grid at an image. Opening from the URL passes
+   * notify: false, as the URL already points at the photo.
+   */
+  open(gallery, index = 0, { notify = true } = {}) {
+    if (!gallery) return;
+
+    this.element = this.element || this.createElement();
+    this.gallery = gallery;
+    this.currentIndex = index;
+    this.isOpen = true;
+
+    this.update();
+
+    this.element.classList.add('visible');
+    this.dialog.open({ returnFocus: this.getTileButton() });
+
+    if (notify) this.dispatch('open');
+  }
+
+  /**
+   * Close the lightbox
+   */
+  close({ notify = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.classList.remove('visible');
+    this.dialog.close({ returnFocus: this.getTileButton() });
+    this.isOpen = false;
+    this.gestures.reset();
+
+    if (notify) this.dispatch('close');
+  }
+
+  /**
+   * Show the next image, wrapping around
+   */
+  next() {
+    this.show(this.currentIndex + 1);
+  }
+
+  /**
+   * Show the previous image, wrapping around
+   */
+  previous() {
+    this.show(this.currentIndex - 1);
+  }
+
+  /**
+   * Show an image of the open gallery by index
+   */
+  show(index) {
+    const count = this.getItems().length;
+    if (!this.isOpen || !count) return;
+
+    this.currentIndex = (index + count) % count;
+    this.update();
+    this.dispatch('change');
+  }
+
+  /**
+   * Announce what the lightbox shows, with the id of the section the
+   * gallery is in
+   */
+  dispatch(type) {
+    const section = this.gallery.closest('.story-section');
+
+    document.dispatchEvent(new CustomEvent(`gallery:${type}`, {
+      detail: {
+        sectionId: section ? section.id : null,
+        view: 'photo',
+        item: this.currentIndex + 1,
+        gallery: this.gallery,
+        index: this.currentIndex
+      }
+    }));
+  }
+
+  /**
+   * Update the lightbox from the current gallery item
+   */
+  update() {
+    const items = this.getItems();
+    const item = items[this.currentIndex];
+    if (!item) return;
+
+    const index = this.currentIndex;
+    const thumbnail = item.querySelector('img');
+
+    // The current photo stays up until the next one has loaded
+    this.element.classList.add('loading');
+    const src = this.getImageSrc(item);
+    this.loadImage(src).then(() => {
+      if (!this.element || this.currentIndex !== index || this.gallery !== item.closest('.gallery-grid')) return;
+
+      const image = this.element.querySelector('.lightbox-image');
+      image.src = src;
+      image.alt = thumbnail ? thumbnail.alt : '';
+      this.gestures.reset();
+      this.element.querySelector('.lightbox-title').textContent = item.dataset.title;
+      this.element.querySelector('.lightbox-description').textContent = item.dataset.description;
+      this.element.querySelector('.lightbox-counter').textContent = `${index + 1} / ${items.length}`;
+      this.element.querySelector('.lightbox-status').textContent = `Image ${index + 1} of ${items.length}${item.dataset.title ? `: ${item.dataset.title}` : ''}`;
+      this.element.classList.remove('loading');
+    });
+
+    this.preloadNeighbours(items);
+  }
+
+  /**
+   * The photo's smallest manifest variant that fills the screen, or the
+   * original for images outside the manifest
+   */
+  getImageSrc(item) {
+    const width = window.innerWidth * (window.devicePixelRatio || 1);
+    return pickImageVariant(item.dataset.src, width) || item.dataset.src;
+  }
+
+  /**
+   * Load an image once; resolves when it has loaded or failed
+   */
+  loadImage(src) {
+    if (!this.imageLoads.has(src)) {
+      this.imageLoads.set(src, new Promise(resolve => {
+        const image = new Image();
+        image.onload = resolve;
+        image.onerror = resolve;
+        image.src = src;
+      }));
+    }
+
+    return this.imageLoads.get(src);
+  }
+
+  /**
+   * Preload the photos either side of the current one
+   */
+  preloadNeighbours(items) {
+    [-1, 1].forEach(offset => {
+      const item = items[(this.currentIndex + offset + items.length) % items.length];
+      if (item) this.loadImage(this.getImageSrc(item));
+    });
+  }
+
+  /**
+   * Remove listeners and the lightbox element
+   */
+  destroy() {
+    this.close();
+    document.removeEventListener('click', this.handleClick);
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('navigation:photo', this.handlePhotoRoute);
+    document.removeEventListener('navigation:photoclose', this.handlePhotoClose);
+
+    if (this.element) {
+      this.dialog.destroy();
+      this.gestures.destroy();
+      this.element.remove();
+      this.element = null;
+    }
+
+    this.imageLoads.clear();
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * HTML TEMPLATING
+ *
+ * Escaping layer for every renderer that turns content JSON into markup.
+ * Values interpolated into an html`` template are escaped unless they are
+ * markup produced by another html`` template or explicitly marked trusted
+ * with trustedHTML().
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+/**
+ * Markup that is safe to insert without escaping
+ */
+export class SafeHTML {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape a value for use in element content or a quoted attribute
+ */
+export function escapeHTML(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[&<>"'`]/g, character => ESCAPES[character]);
+}
+
+/**
+ * Render an interpolated value: markup passes through, arrays are joined,
+ * empty values render nothing and everything else is escaped
+ */
+function renderValue(value) {
+  if (value instanceof SafeHTML) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === undefined || value === null || value === false) return '';
+  return escapeHTML(value);
+}
+
+/**
+ * Tagged template that escapes every interpolation
+ *
+ *   html`<h3>${member.name}</h3>${items.map(item => html`<li>${item}</li>`)}`
+ */
+export function html(strings, ...values) {
+  return new SafeHTML(strings.reduce((markup, string, index) =>
+    markup + string + (index < values.length ? renderValue(values[index]) : ''), ''));
+}
+
+/**
+ * Opt in to inserting a string as markup. Only for trusted rich text
+ * written by editors, never for values that could come from elsewhere.
+ */
+export function trustedHTML(markup) {
+  return new SafeHTML(markup === undefined || markup === null ? '' : markup);
+}
+
+/**
+ * Neutralise script URLs in href/src values; other URLs pass through
+ */
+export function safeURL(url) {
+  if (url === undefined || url === null) return '';
+
+  // Browsers ignore control characters and whitespace inside the scheme
+  const scheme = String(url).replace(/[\u0000- ]/g, '').toLowerCase();
+  if (/^(javascript|vbscript):/.test(scheme) || (/^data:/.test(scheme) && !/^data:image\/(png|jpe?g|gif|webp|avif);/.test(scheme))) {
+    return 'about:blank';
+  }
+
+  return String(url);
+}
@@ -0,0 +1,291 @@
+/**
+ * LIGHTBOX GESTURES
+ *
+ * Pointer gestures for the gallery lightbox image: swipe left/right for the
+ * next/previous photo, swipe down to close, pinch or double-tap (double-click
+ * with a mouse) to zoom, and drag to pan while zoomed.
+ *
+ * With reduced motion the image doesn't follow swipes or animate its zoom;
+ * the gestures still act when the finger lifts.
+ */
+
+const MAX_ZOOM = 4;
+const DOUBLE_TAP_ZOOM = 2.5;
+const DOUBLE_TAP_TIME = 300;
+const TAP_DISTANCE = 10;
+const SWIPE_DISTANCE = 60;
+const DISMISS_DISTANCE = 120;
+
+export class LightboxGestures {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      image: options.image || container.querySelector('img'),
+      // Element that gets --lightbox-dismiss (0-1) while swiping down
+      root: options.root || container,
+      onNext: options.onNext || (() => {}),
+      onPrevious: options.onPrevious || (() => {}),
+      onClose: options.onClose || (() => {}),
+      ...options
+    };
+
+    this.pointers = new Map();
+    this.gesture = null;
+    this.zoom = { scale: 1, x: 0, y: 0 };
+    this.lastTap = null;
+
+    // Bind methods
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+
+  /**
+   * Start listening for gestures
+   */
+  init() {
+    this.container.addEventListener('pointerdown', this.handlePointerDown);
+    this.container.addEventListener('pointermove', this.handlePointerMove);
+    this.container.addEventListener('pointerup', this.handlePointerUp);
+    this.container.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Whether the reader asked for reduced motion
+   */
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /**
+   * Start a drag, or a pinch when a second finger lands
+   */
+  handlePointerDown(event) {
+    if (event.button > 0) return;
+
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (this.container.setPointerCapture) {
+      this.container.setPointerCapture(event.pointerId);
+    }
+
+    if (this.pointers.size === 2) {
+      this.startPinch();
+    } else if (this.pointers.size === 1) {
+      this.startDrag(event);
+    }
+  }
+
+  /**
+   * Follow the active gesture
+   */
+  handlePointerMove(event) {
+    if (!this.pointers.has(event.pointerId) || !this.gesture) return;
+
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (this.gesture.type === 'pinch') {
+      this.updatePinch();
+    } else {
+      this.updateDrag(event);
+    }
+  }
+
+  /**
+   * Finish the active gesture: navigate, close, settle the zoom or count
+   * a tap
+   */
+  handlePointerUp(event) {
+    if (!this.pointers.has(event.pointerId)) return;
+
+    this.pointers.delete(event.pointerId);
+    const gesture = this.gesture;
+    this.gesture = null;
+    this.container.classList.remove('gesturing');
+
+    if (!gesture) return;
+
+    // Lifting one finger of a pinch carries on as a pan
+    if (gesture.type === 'pinch') {
+      if (this.zoom.scale < 1.05) this.reset();
+      const [remaining] = this.pointers.values();
+      if (remaining) this.startDrag({ clientX: remaining.x, clientY: remaining.y });
+      return;
+    }
+
+    const dx = event.clientX - gesture.startX;
+    const dy = event.clientY - gesture.startY;
+
+    if (gesture.type === 'swipe') {
+      this.setOffset(0, 0);
+      if (Math.abs(dx) >= SWIPE_DISTANCE) {
+        if (dx < 0) {
+          this.options.onNext();
+        } else {
+          this.options.onPrevious();
+        }
+      }
+    } else if (gesture.type === 'dismiss') {
+      this.setOffset(0, 0);
+      if (dy >= DISMISS_DISTANCE) this.options.onClose();
+    } else if (!gesture.type && event.type === 'pointerup') {
+      this.handleTap(event);
+    }
+  }
+
+  /**
+   * Track a one-finger drag; its direction decides what it does
+   */
+  startDrag(event) {
+    this.gesture = {
+      type: null,
+      startX: event.clientX,
+      startY: event.clientY,
+      zoomX: this.zoom.x,
+      zoomY: this.zoom.y
+    };
+  }
+
+  /**
+   * Decide what a drag is once it has moved far enough, then follow it
+   */
+  updateDrag(event) {
+    const gesture = this.gesture;
+    const dx = event.clientX - gesture.startX;
+    const dy = event.clientY - gesture.startY;
+
+    if (!gesture.type) {
+      if (Math.hypot(dx, dy) < TAP_DISTANCE) return;
+
+      if (this.zoom.scale > 1) {
+        gesture.type = 'pan';
+      } else if (Math.abs(dx) > Math.abs(dy)) {
+        gesture.type = 'swipe';
+      } else {
+        gesture.type = dy > 0 ? 'dismiss' : 'none';
+      }
+
+      this.container.classList.add('gesturing');
+    }
+
+    if (gesture.type === 'pan') {
+      this.setZoom(this.zoom.scale, gesture.zoomX + dx, gesture.zoomY + dy);
+    } else if (this.prefersReducedMotion()) {
+      return;
+    } else if (gesture.type === 'swipe') {
+      this.setOffset(dx, 0);
+    } else if (gesture.type === 'dismiss') {
+      this.setOffset(0, dy);
+    }
+  }
+
+  /**
+   * Track a two-finger pinch around its starting scale
+   */
+  startPinch() {
+    this.gesture = {
+      type: 'pinch',
+      distance: this.getPointerDistance(),
+      scale: this.zoom.scale
+    };
+    this.setOffset(0, 0);
+    this.container.classList.add('gesturing');
+  }
+
+  /**
+   * Scale with the distance between the two fingers
+   */
+  updatePinch() {
+    const scale = this.gesture.scale * this.getPointerDistance() / (this.gesture.distance || 1);
+    this.setZoom(scale, this.zoom.x, this.zoom.y);
+  }
+
+  /**
+   * Distance between the first two active pointers
+   */
+  getPointerDistance() {
+    const [a, b] = this.pointers.values();
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+  }
+
+  /**
+   * Two taps close together in time and place toggle zoom
+   */
+  handleTap(event) {
+    const now = performance.now();
+    const last = this.lastTap;
+
+    if (last && now - last.time < DOUBLE_TAP_TIME && Math.hypot(event.clientX - last.x, event.clientY - last.y) < TAP_DISTANCE * 3) {
+      this.lastTap = null;
+      this.toggleZoom(event.clientX, event.clientY);
+    } else {
+      this.lastTap = { time: now, x: event.clientX, y: event.clientY };
+    }
+  }
+
+  /**
+   * Zoom in on a point, or back out if already zoomed
+   */
+  toggleZoom(clientX, clientY) {
+    if (this.zoom.scale > 1) {
+      this.reset();
+      return;
+    }
+
+    // Keep the tapped point under the finger
+    const rect = this.options.image.getBoundingClientRect();
+    const scale = DOUBLE_TAP_ZOOM;
+    this.setZoom(
+      scale,
+      (rect.left + rect.width / 2 - clientX) * (scale - 1),
+      (rect.top + rect.height / 2 - clientY) * (scale - 1)
+    );
+  }
+
+  /**
+   * Apply a zoom level and pan, keeping the image edges on screen
+   */
+  setZoom(scale, x, y) {
+    const image = this.options.image;
+    const clampedScale = Math.min(Math.max(scale, 1), MAX_ZOOM);
+    const maxX = image.offsetWidth * (clampedScale - 1) / 2;
+    const maxY = image.offsetHeight * (clampedScale - 1) / 2;
+
+    this.zoom = {
+      scale: clampedScale,
+      x: Math.min(Math.max(x, -maxX), maxX),
+      y: Math.min(Math.max(y, -maxY), maxY)
+    };
+
+    image.style.transform = clampedScale > 1
+      ? `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${clampedScale})`
+      : '';
+    this.container.classList.toggle('zoomed', clampedScale > 1);
+  }
+
+  /**
+   * Move the image with a swipe; swiping down also fades the backdrop
+   */
+  setOffset(x, y) {
+    this.options.image.style.transform = x || y ? `translate(${x}px, ${y}px)` : '';
+    this.options.root.style.setProperty('--lightbox-dismiss', Math.min(Math.max(y, 0) / (DISMISS_DISTANCE * 2), 1).toFixed(3));
+  }
+
+  /**
+   * Back to the unzoomed image, e.g. when the photo changes
+   */
+  reset() {
+    this.setZoom(1, 0, 0);
+    this.setOffset(0, 0);
+  }
+
+  /**
+   * Stop listening for gestures
+   */
+  destroy() {
+    this.container.removeEventListener('pointerdown', this.handlePointerDown);
+    this.container.removeEventListener('pointermove', this.handlePointerMove);
+    this.container.removeEventListener('pointerup', this.handlePointerUp);
+    this.container.removeEventListener('pointercancel', this.handlePointerUp);
+    this.pointers.clear();
+  }
+}
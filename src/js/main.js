@@ -1,57 +1,442 @@
 /**
- * Simple Main JavaScript - Just loads content
+ * DIAGRAMA APP
+ *
+ * Application entry point. Boots the controller suite in dependency order,
+ * routes engine events between controllers and owns global teardown.
  */
 
-// Simple scroll progress
-function setupScrollProgress() {
-  const progressBar = document.querySelector('.scroll-progress-bar');
-  if (!progressBar) return;
-  
-  function updateProgress() {
-    const scrollTop = window.pageYOffset;
-    const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-    const scrollPercent = (scrollTop / docHeight) * 100;
-    progressBar.style.width = `${Math.min(scrollPercent, 100)}%`;
-  }
-  
-  window.addEventListener('scroll', updateProgress);
-  updateProgress();
-}
+import { ScrollytellingEngine } from './scrollytelling-engine.js';
+import { AnimationController } from './animation-controller.js';
+import { MediaController } from './media-controller.js';
+import { NavigationController } from './navigation-controller.js';
+import { ProgressIndicator } from './progress-indicator.js';
+import { AccessibilityController } from './accessibility-controller.js';
+import { ContentManager } from './content-manager.js';
+import { CONTENT_PATH } from './content-source.js';
 
-// Simple navigation
-function setupNavigation() {
-  const navLinks = document.querySelectorAll('.nav-link');
-  const navToggle = document.querySelector('.nav-toggle');
-  const mainNav = document.querySelector('.main-nav');
-  
-  // Mobile menu toggle
-  if (navToggle) {
-    navToggle.addEventListener('click', () => {
-      navToggle.classList.toggle('active');
-      mainNav.classList.toggle('mobile-open');
-      mainNav.classList.toggle('mobile-closed');
-    });
+export class DiagramaApp {
+  constructor(options = {}) {
+    this.options = {
+      // Animation settings
+      animationDuration: options.animationDuration || 0.8,
+      animationEasing: options.animationEasing || 'power2.out',
+
+      // Scroll settings
+      scrollThreshold: options.scrollThreshold || 0.2,
+
+      // Accessibility
+      respectReducedMotion: options.respectReducedMotion !== false,
+      keyboardNavigation: options.keyboardNavigation !== false,
+
+      // Performance
+      enableGPUAcceleration: options.enableGPUAcceleration !== false,
+
+      // Content
+      contentPath: options.contentPath || CONTENT_PATH,
+      sectionsContainer: options.sectionsContainer || '#story-sections',
+      hotReload: options.hotReload !== false,
+
+      debug: options.debug || this.isDebugEnabled(),
+      ...options
+    };
+
+    this.controllers = {};
+    this.isInitialized = false;
+    this.isDestroyed = false;
+
+    // Bind methods
+    this.handleResize = this.handleResize.bind(this);
+    this.handleProgressNavigate = this.handleProgressNavigate.bind(this);
+    this.handleSectionChange = this.handleSectionChange.bind(this);
+    this.handleScrollEnd = this.handleScrollEnd.bind(this);
+    this.handleSectionProgress = this.handleSectionProgress.bind(this);
+    this.handleContentUpdated = this.handleContentUpdated.bind(this);
   }
-  
-  navLinks.forEach(link => {
-    link.addEventListener('click', (e) => {
-      e.preventDefault();
-      const targetId = link.getAttribute('href').substring(1);
-      const targetElement = document.getElementById(targetId);
-      
-      if (targetElement) {
-        targetElement.scrollIntoView({ behavior: 'smooth' });
-        
-        // Close mobile menu if open
-        if (mainNav.classList.contains('mobile-open')) {
-          navToggle.classList.remove('active');
-          mainNav.classList.remove('mobile-open');
-          mainNav.classList.add('mobile-closed');
+
+  /**
+   * Initialize the application
+   */
+  async init() {
+    if (this.isInitialized) return;
+
+    try {
+      if (this.options.enableGPUAcceleration) {
+        document.body.classList.add('gpu-accelerated');
+      }
+
+      this.createControllers();
+
+      // Controllers are initialized sequentially: later controllers discover
+      // DOM that earlier ones create (live regions, rendered content)
+      for (const name of DiagramaApp.INIT_ORDER) {
+        await this.initController(name);
+      }
+
+      this.setupEventRouting();
+
+      // Start controllers once everything is wired up
+      for (const name of DiagramaApp.INIT_ORDER) {
+        const controller = this.controllers[name];
+        if (controller && typeof controller.start === 'function') {
+          await controller.start();
         }
       }
+
+      this.isInitialized = true;
+
+      document.dispatchEvent(new CustomEvent('app:ready', { detail: { app: this } }));
+
+      this.log('DiagramaApp initialized');
+
+    } catch (error) {
+      console.error('Failed to initialize DiagramaApp:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Construct all controllers with options derived from the app config
+   */
+  createControllers() {
+    const { options } = this;
+
+    this.controllers.accessibility = new AccessibilityController({
+      respectReducedMotion: options.respectReducedMotion,
+      keyboardNavigation: options.keyboardNavigation
     });
-  });
-  
+
+    this.controllers.content = new ContentManager({
+      contentPath: options.contentPath,
+      enableHotReload: options.hotReload
+    });
+
+    this.controllers.media = new MediaController();
+
+    this.controllers.animation = new AnimationController({
+      duration: options.animationDuration,
+      easing: options.animationEasing,
+      respectReducedMotion: options.respectReducedMotion
+    });
+
+    this.controllers.engine = new ScrollytellingEngine({
+      threshold: options.scrollThreshold
+    });
+
+    this.controllers.navigation = new NavigationController({
+      keyboardNavigation: options.keyboardNavigation
+    });
+
+    this.controllers.progress = new ProgressIndicator();
+  }
+
+  /**
+   * Initialize a single controller, loading page content after the content manager
+   */
+  async initController(name) {
+    const controller = this.controllers[name];
+    if (!controller) return;
+
+    await controller.init();
+    this.log(`${name} controller ready`);
+
+    if (name === 'content') {
+      await this.loadContent();
+    }
+  }
+
+  /**
+   * Render the story sections from structure.json before media and sections
+   * are discovered
+   */
+  async loadContent() {
+    const container = document.querySelector(this.options.sectionsContainer);
+    if (!container) return;
+
+    await this.controllers.content.renderSections(container);
+  }
+
+  /**
+   * Tell readers the story failed to start, above whatever sections did
+   * render. The references after the story are static and stay available.
+   */
+  showInitError() {
+    const container = document.querySelector(this.options.sectionsContainer);
+    if (!container || container.querySelector('.init-error-message')) return;
+
+    const message = document.createElement('p');
+    message.className = 'init-error-message';
+    message.setAttribute('role', 'alert');
+    message.textContent = container.querySelector('.story-section')
+      ? 'Sorry, parts of this story failed to start, so it may not behave as expected. Reloading the page may help.'
+      : 'Sorry, this story could not be loaded. Please reload the page to try again; the references below remain available.';
+    container.prepend(message);
+  }
+
+  /**
+   * Route events between controllers
+   */
+  setupEventRouting() {
+    const { engine } = this.controllers;
+
+    engine.on('sectionChange', this.handleSectionChange);
+    engine.on('scrollEnd', this.handleScrollEnd);
+    engine.on('sectionProgress', this.handleSectionProgress);
+
+    document.addEventListener('progress:navigate', this.handleProgressNavigate);
+
+    this.setupSectionScrolls();
+    this.setupSectionTimelines();
+    this.setupScrollAnimations();
+    document.addEventListener('content:updated', this.handleContentUpdated);
+
+    let resizeTimeout;
+    this.resizeListener = () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(this.handleResize, 150);
+    };
+    window.addEventListener('resize', this.resizeListener);
+
+    this.teardownMobileMenu = setupMobileMenu();
+  }
+
+  /**
+   * Set up the scroll effects (pinning, scrub, snap) section types declare
+   */
+  setupSectionScrolls() {
+    const { engine, animation } = this.controllers;
+
+    engine.getSections().forEach(section => {
+      const { scroll } = engine.options.sectionTypes.get(section.type);
+      if (scroll) {
+        animation.createSectionScroll(section.element, scroll);
+      }
+    });
+  }
+
+  /**
+   * Run [data-animate] entrances on ScrollTrigger when GSAP has loaded,
+   * honouring each element's data-animate-mode. Otherwise the engine keeps
+   * them on its CSS classes.
+   */
+  setupScrollAnimations() {
+    const { engine, animation } = this.controllers;
+    if (!animation.hasScrollTrigger()) return;
+
+    engine.releaseClassAnimations().forEach(({ element, type, mode, delay, duration }) => {
+      animation.createScrollAnimation(element, mode === 'scrub' ? {} : { delay, duration }, {
+        mode,
+        type: animation.getTimelineStepType({ type })
+      });
+    });
+  }
+
+  /**
+   * Build the animation timelines section content files describe, for the
+   * engine to play as each section enters
+   */
+  setupSectionTimelines() {
+    this.controllers.engine.getSections().forEach(section => this.setupSectionTimeline(section));
+  }
+
+  /**
+   * Build (or rebuild) one section's timeline from its content
+   */
+  setupSectionTimeline(section) {
+    const { content, engine, animation } = this.controllers;
+    const { animation: timeline } = content.getCachedContent(section.id) || {};
+
+    animation.removeTimeline(section.id);
+
+    engine.setSectionTimeline(
+      section.id,
+      timeline ? animation.createTimeline(section.id, { steps: timeline.steps, root: section.element }) : null,
+      { replay: timeline ? timeline.replay : false }
+    );
+
+    // A rebuilt timeline starts hidden; play it if its section is on screen
+    if (section.isVisible) {
+      engine.playSectionTimeline(section);
+    }
+  }
+
+  /**
+   * Rebuild a section's steps and timeline after its content is re-rendered
+   */
+  handleContentUpdated(event) {
+    const { engine } = this.controllers;
+    const section = engine.getSections().find(s => s.id === event.detail.sectionId);
+    if (section) {
+      engine.discoverSectionSteps(section);
+      this.setupSectionTimeline(section);
+    }
+  }
+
+  /**
+   * Handle engine section changes
+   */
+  handleSectionChange({ current, previous }) {
+    const { navigation, progress, accessibility } = this.controllers;
+
+    navigation.syncToSection(current.id);
+    progress.setCurrentSection(navigation.getSections().findIndex(s => s.id === current.id));
+    progress.setSectionProgress(current.progress);
+
+    // Keyboard/link navigation already announces via navigation:navigate
+    if (previous && !navigation.isNavigating) {
+      accessibility.announceSectionChange(current.element);
+    }
+
+    document.body.dataset.currentSection = current.id;
+    this.log(`Section changed: ${previous ? previous.id : 'none'} -> ${current.id}`);
+  }
+
+  /**
+   * Share the engine's progress through a section with the progress
+   * indicator (current section only) and fallback scroll effects
+   */
+  handleSectionProgress({ section, progress, pinnedProgress }) {
+    const { engine, animation, progress: progressIndicator } = this.controllers;
+
+    if (section === engine.getCurrentSection()) {
+      progressIndicator.setSectionProgress(progress);
+    }
+
+    animation.updateSectionScroll(section.element, { progress, pinnedProgress });
+  }
+
+  /**
+   * Handle the end of a scroll gesture
+   */
+  handleScrollEnd() {
+    const { navigation, progress, animation } = this.controllers;
+
+    navigation.updateSectionBounds();
+    progress.updateProgress();
+    animation.snapSections();
+  }
+
+  /**
+   * Handle navigation requests from the progress indicator dots
+   */
+  handleProgressNavigate(event) {
+    this.controllers.navigation.navigateToSection(event.detail.sectionId);
+  }
+
+  /**
+   * Forward resize to every controller that handles it
+   */
+  handleResize() {
+    Object.values(this.controllers).forEach(controller => {
+      if (controller && typeof controller.handleResize === 'function') {
+        controller.handleResize();
+      }
+    });
+  }
+
+  /**
+   * Get a controller by name
+   */
+  getController(name) {
+    return this.controllers[name];
+  }
+
+  /**
+   * Check if debug mode is enabled
+   */
+  isDebugEnabled() {
+    try {
+      return localStorage.getItem('diagrama-debug') === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Debug logging
+   */
+  log(...args) {
+    if (this.options.debug) {
+      console.log('[DiagramaApp]', ...args);
+    }
+  }
+
+  /**
+   * Destroy the application and all controllers
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+
+    // Remove app-level listeners
+    document.removeEventListener('progress:navigate', this.handleProgressNavigate);
+    document.removeEventListener('content:updated', this.handleContentUpdated);
+    if (this.resizeListener) {
+      window.removeEventListener('resize', this.resizeListener);
+    }
+    if (this.teardownMobileMenu) {
+      this.teardownMobileMenu();
+    }
+
+    // Tear down in reverse dependency order
+    [...DiagramaApp.INIT_ORDER].reverse().forEach(name => {
+      const controller = this.controllers[name];
+      if (!controller) return;
+
+      try {
+        controller.destroy();
+      } catch (error) {
+        console.error(`Failed to destroy ${name} controller:`, error);
+      }
+    });
+
+    this.controllers = {};
+    this.isInitialized = false;
+    this.isDestroyed = true;
+
+    this.log('DiagramaApp destroyed');
+  }
+}
+
+/**
+ * Controller initialization order. Content comes first so every other
+ * controller discovers the rendered sections; accessibility follows so live
+ * regions exist before anything announces.
+ */
+DiagramaApp.INIT_ORDER = [
+  'content',
+  'accessibility',
+  'media',
+  'animation',
+  'engine',
+  'navigation',
+  'progress'
+];
+
+// Mobile menu toggle, returns a teardown function
+function setupMobileMenu() {
+  const navToggle = document.querySelector('.nav-toggle');
+  const mainNav = document.querySelector('.main-nav');
+  if (!navToggle || !mainNav) return null;
+
+  const toggleMenu = () => {
+    navToggle.classList.toggle('active');
+    mainNav.classList.toggle('mobile-open');
+    mainNav.classList.toggle('mobile-closed');
+  };
+
+  // Close mobile menu after following a link
+  const closeMenu = () => {
+    if (mainNav.classList.contains('mobile-open')) {
+      navToggle.classList.remove('active');
+      mainNav.classList.remove('mobile-open');
+      mainNav.classList.add('mobile-closed');
+    }
+  };
+
+  const navLinks = mainNav.querySelectorAll('.nav-link');
+
+  navToggle.addEventListener('click', toggleMenu);
+  navLinks.forEach(link => link.addEventListener('click', closeMenu));
+
   // Initialize mobile menu state
   function initializeMobileState() {
     if (window.innerWidth <= 768) {
@@ -62,150 +447,34 @@ function setupNavigation() {
       navToggle.classList.remove('active');
     }
   }
-  
+
   initializeMobileState();
-  
+
   // Handle window resize
   window.addEventListener('resize', initializeMobileState);
-}
-
-// Load gallery content
-async function loadGalleries() {
-  try {
-    const response = await fetch('/content/galleries.json');
-    const galleries = await response.json();
-    
-    // Load Spain gallery with improved layout
-    const spainContainer = document.querySelector('#spain-gallery .gallery-grid');
-    if (spainContainer && galleries.spainCenters) {
-      spainContainer.innerHTML = '';
-      galleries.spainCenters.images.forEach((image, index) => {
-        const item = document.createElement('div');
-        
-        // Create better masonry layout with varying sizes
-        let gridClass = 'gallery-item';
-        let gridRowSpan = '';
-        
-        if (image.size === 'large' || index === 0) {
-          gridRowSpan = 'grid-row: span 2;';
-          gridClass += ' large';
-        } else if (index % 4 === 1) {
-          gridRowSpan = 'grid-row: span 1;';
-        } else if (index % 3 === 0) {
-          gridRowSpan = 'grid-row: span 1;';
-        }
-        
-        item.className = gridClass;
-        item.style.cssText = `
-          position: relative;
-          border-radius: 12px;
-          overflow: hidden;
-          box-shadow: 0 4px 16px rgba(0,0,0,0.1);
-          transition: all 0.3s ease;
-          ${gridRowSpan}
-        `;
-        
-        item.innerHTML = `
-          <img src="${image.src}" alt="${image.alt}" loading="lazy" style="
-            width: 100%;
-            height: 100%;
-            object-fit: cover;
-            display: block;
-          ">
-          <div class="gallery-overlay" style="
-            position: absolute;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            background: linear-gradient(transparent, rgba(0,0,0,0.8));
-            color: white;
-            padding: 2rem 1.5rem 1.5rem;
-            transform: translateY(0);
-            transition: all 0.3s ease;
-          ">
-            <h4 style="
-              font-size: 1.2rem;
-              font-weight: 600;
-              margin-bottom: 0.5rem;
-              color: #ffffff;
-            ">${image.title}</h4>
-            <p style="
-              font-size: 0.9rem;
-              line-height: 1.4;
-              margin: 0;
-              color: rgba(255,255,255,0.9);
-            ">${image.description}</p>
-          </div>
-        `;
-        
-        // Add hover effect
-        item.addEventListener('mouseenter', () => {
-          item.style.transform = 'translateY(-4px)';
-          item.style.boxShadow = '0 8px 32px rgba(0,0,0,0.15)';
-        });
-        
-        item.addEventListener('mouseleave', () => {
-          item.style.transform = 'translateY(0)';
-          item.style.boxShadow = '0 4px 16px rgba(0,0,0,0.1)';
-        });
-        
-        spainContainer.appendChild(item);
-      });
-    }
-    
-    // Load team gallery
-    const teamContainer = document.querySelector('#team-gallery .team-grid');
-    if (teamContainer && galleries.team) {
-      teamContainer.innerHTML = '';
-      galleries.team.members.forEach(member => {
-        const item = document.createElement('div');
-        item.className = 'team-member';
-        item.innerHTML = `
-          <div class="member-photo">
-            <img src="${member.photo}" alt="${member.name}" loading="lazy">
-          </div>
-          <div class="member-info">
-            <h4>${member.name}</h4>
-            <p class="member-role">${member.role}</p>
-            <p class="member-description">${member.description}</p>
-          </div>
-        `;
-        teamContainer.appendChild(item);
-      });
-    }
-  } catch (error) {
-    console.error('Error loading galleries:', error);
-  }
-}
 
-// Load video content
-async function loadVideos() {
-  try {
-    const response = await fetch('/content/videos.json');
-    const videos = await response.json();
-    
-    // Load success stories featured video
-    const videoContainer = document.querySelector('#success-video .video-container');
-    if (videoContainer && videos.successStories?.featured?.embedCode) {
-      videoContainer.innerHTML = `
-        <div class="video-embed-container">
-          ${videos.successStories.featured.embedCode}
-        </div>
-      `;
-    }
-    
-    // CEO video is now directly embedded in HTML for reliability
-  } catch (error) {
-    console.error('Error loading videos:', error);
-  }
+  return () => {
+    navToggle.removeEventListener('click', toggleMenu);
+    navLinks.forEach(link => link.removeEventListener('click', closeMenu));
+    window.removeEventListener('resize', initializeMobileState);
+  };
 }
 
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  setupScrollProgress();
-  setupNavigation();
-  loadGalleries();
-  loadVideos();
-  
-  console.log('Diagrama site initialized');
-});
\ No newline at end of file
+  const app = new DiagramaApp({
+    animationDuration: 0.8,
+    animationEasing: 'power2.out',
+    scrollThreshold: 0.2,
+    respectReducedMotion: true,
+    keyboardNavigation: true,
+    enableGPUAcceleration: true
+  });
+
+  window.diagramaApp = app;
+
+  app.init().catch(() => {
+    // Error already logged; the story may be missing or only partly rendered
+    app.showInitError();
+  });
+});
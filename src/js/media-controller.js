@@ -5,6 +5,14 @@
  * Implements lazy loading, performance optimization, and responsive media
  */
 
+import { handleFacadeClick } from './embeds.js';
+import { GalleryLightbox } from './gallery.js';
+import { VideoControls } from './video-controls.js';
+import { getImageEntry, handleImageLoad, pickImageVariant, revealLoadedImages } from './responsive-images.js';
+import { TeamProfile } from './team-profile.js';
+import { VideoModal } from './video-modal.js';
+import { handleTranscriptToggle, setupAudioDescription } from './video-tracks.js';
+
 export class MediaController {
   constructor(options = {}) {
     this.options = {
@@ -13,6 +21,8 @@ export class MediaController {
       imageQuality: options.imageQuality || 0.8,
       enableWebP: options.enableWebP !== false,
       preloadCritical: options.preloadCritical !== false,
+      // Longest init waits for critical media before carrying on (ms)
+      preloadTimeout: options.preloadTimeout || 3000,
       ...options
     };
     
@@ -20,6 +30,9 @@ export class MediaController {
     this.observers = new Map();
     this.loadedMedia = new Set();
     this.videoPlayers = new Map();
+    this.lightbox = new GalleryLightbox();
+    this.teamProfile = new TeamProfile();
+    this.videoModal = new VideoModal();
     
     // Bind methods
     this.handleIntersection = this.handleIntersection.bind(this);
@@ -40,6 +53,26 @@ export class MediaController {
       // Set up video players
       this.setupVideoPlayers();
       
+      // Third-party embeds load only when their facade is activated
+      document.addEventListener('click', handleFacadeClick);
+      
+      // Galleries rendered with a lightbox open it on click
+      this.lightbox.init();
+      
+      // Team cards open their member's full profile
+      this.teamProfile.init();
+      
+      // Video gallery cards play in a modal
+      this.videoModal.init();
+      
+      // Timed transcripts load when first opened
+      document.addEventListener('toggle', handleTranscriptToggle, true);
+      
+      // Fade framed images in over their placeholders, however they load
+      document.addEventListener('load', handleImageLoad, true);
+      document.addEventListener('error', handleImageLoad, true);
+      revealLoadedImages();
+      
       // Preload critical media
       if (this.options.preloadCritical) {
         await this.preloadCriticalMedia();
@@ -64,8 +97,9 @@ export class MediaController {
     const images = document.querySelectorAll('img[data-src], img[loading="lazy"], .background-image');
     images.forEach(img => this.registerMediaElement(img, 'image'));
     
-    // Videos
-    const videos = document.querySelectorAll('video');
+    // Videos (background videos are registered separately below; scroll
+    // videos are driven by their section)
+    const videos = document.querySelectorAll('video:not(.hero-video):not([data-bg-video]):not([data-scroll-video])');
     videos.forEach(video => this.registerMediaElement(video, 'video'));
     
     // Background videos
@@ -230,6 +264,8 @@ export class MediaController {
       if (!media || media.type !== 'video' && media.type !== 'background-video') return;
       
       if (entry.isIntersecting) {
+        // Never restart a video the viewer paused
+        if (media.element.dataset.userPaused) return;
         this.playVideo(media);
       } else {
         this.pauseVideo(media);
@@ -293,6 +329,29 @@ export class MediaController {
         return;
       }
       
+      // srcset images pick their own candidate; preloading src would fetch
+      // the wrong size, so wait for the browser's choice instead. The
+      // media-loaded class cross-fades framed images from their placeholder.
+      if (img.tagName === 'IMG' && img.srcset) {
+        const onLoaded = () => {
+          img.classList.add('media-loaded');
+          resolve();
+        };
+        const onError = () => reject(new Error(`Failed to load image: ${img.currentSrc || src}`));
+        
+        // A complete image with no size has already failed; its error
+        // event won't fire again
+        if (img.complete && img.naturalWidth > 0) {
+          onLoaded();
+        } else if (img.complete) {
+          onError();
+        } else {
+          img.addEventListener('load', onLoaded, { once: true });
+          img.addEventListener('error', onError, { once: true });
+        }
+        return;
+      }
+      
       // Create new image for preloading
       const preloadImg = new Image();
       
@@ -342,7 +401,16 @@ export class MediaController {
       video.addEventListener('error', () => {
         reject(new Error(`Failed to load video: ${media.src}`));
       }, { once: true });
-      
+
+      // With <source> children, errors fire on the sources rather than the
+      // video; the last source failing means nothing could be loaded
+      const sources = video.querySelectorAll('source');
+      if (sources.length > 0) {
+        sources[sources.length - 1].addEventListener('error', () => {
+          reject(new Error(`Failed to load video: ${media.src}`));
+        }, { once: true });
+      }
+
       // Load video
       if (media.src && !video.src) {
         video.src = media.src;
@@ -402,17 +470,27 @@ export class MediaController {
   setupVideoPlayer(media) {
     const video = media.element;
     
-    // Create player controls if needed
-    if (media.type === 'video' && !video.controls) {
-      this.createCustomControls(media);
-    }
+    // Self-hosted videos all get the accessible controls
+    const controls = this.createCustomControls(media);
+    
+    // Read out audio description cues, if the video has any
+    setupAudioDescription(video);
+    
+    const player = {
+      media,
+      controls,
+      isPlaying: false,
+      currentTime: 0
+    };
     
-    // Set up event listeners
+    // Set up event listeners; the viewer can play and pause from the controls
     video.addEventListener('play', () => {
+      player.isPlaying = true;
       this.dispatchMediaEvent('play', media);
     });
     
     video.addEventListener('pause', () => {
+      player.isPlaying = false;
       this.dispatchMediaEvent('pause', media);
     });
     
@@ -420,104 +498,24 @@ export class MediaController {
       this.dispatchMediaEvent('ended', media);
     });
     
-    this.videoPlayers.set(media.id, {
-      media,
-      isPlaying: false,
-      currentTime: 0
-    });
+    this.videoPlayers.set(media.id, player);
   }
   
   /**
-   * Create custom video controls
+   * Create the accessible control bar, or the compact toggle for background
+   * videos, which sits on the section so it stays above overlays
    */
   createCustomControls(media) {
     const video = media.element;
-    const container = video.parentElement;
-    
-    // Create controls container
-    const controls = document.createElement('div');
-    controls.className = 'video-controls';
-    controls.innerHTML = `
-      <button class="play-pause-btn" aria-label="Play/Pause">
-        <svg class="play-icon" viewBox="0 0 24 24" width="24" height="24">
-          <path d="M8 5v14l11-7z"/>
-        </svg>
-        <svg class="pause-icon" viewBox="0 0 24 24" width="24" height="24" style="display: none;">
-          <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/>
-        </svg>
-      </button>
-      <div class="progress-bar">
-        <div class="progress-fill"></div>
-      </div>
-      <div class="time-display">
-        <span class="current-time">0:00</span> / <span class="duration">0:00</span>
-      </div>
-    `;
-    
-    container.appendChild(controls);
-    
-    // Set up control interactions
-    this.setupVideoControlInteractions(media, controls);
-  }
-  
-  /**
-   * Set up video control interactions
-   */
-  setupVideoControlInteractions(media, controls) {
-    const video = media.element;
-    const playPauseBtn = controls.querySelector('.play-pause-btn');
-    const progressBar = controls.querySelector('.progress-bar');
-    const progressFill = controls.querySelector('.progress-fill');
-    const currentTimeSpan = controls.querySelector('.current-time');
-    const durationSpan = controls.querySelector('.duration');
-    
-    // Play/pause button
-    playPauseBtn.addEventListener('click', () => {
-      if (video.paused) {
-        this.playVideo(media);
-      } else {
-        this.pauseVideo(media);
-      }
-    });
-    
-    // Progress bar
-    progressBar.addEventListener('click', (e) => {
-      const rect = progressBar.getBoundingClientRect();
-      const clickX = e.clientX - rect.left;
-      const percentage = clickX / rect.width;
-      video.currentTime = video.duration * percentage;
-    });
-    
-    // Time updates
-    video.addEventListener('timeupdate', () => {
-      const percentage = (video.currentTime / video.duration) * 100;
-      progressFill.style.width = `${percentage}%`;
-      currentTimeSpan.textContent = this.formatTime(video.currentTime);
-    });
+    const isBackground = media.type === 'background-video';
     
-    video.addEventListener('loadedmetadata', () => {
-      durationSpan.textContent = this.formatTime(video.duration);
+    const controls = new VideoControls(video, {
+      compact: isBackground,
+      container: isBackground ? video.closest('section') || video.parentElement : video.parentElement
     });
+    controls.init();
     
-    // Update play/pause icons
-    video.addEventListener('play', () => {
-      controls.querySelector('.play-icon').style.display = 'none';
-      controls.querySelector('.pause-icon').style.display = 'block';
-    });
-    
-    video.addEventListener('pause', () => {
-      controls.querySelector('.play-icon').style.display = 'block';
-      controls.querySelector('.pause-icon').style.display = 'none';
-    });
-  }
-  
-  /**
-   * Format time for display
-   */
-  formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = Math.floor(seconds % 60);
-    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    return controls;
   }
   
   /**
@@ -596,21 +594,45 @@ export class MediaController {
     const img = media.element;
     const baseSrc = media.src;
     
+    // The browser already picks from srcset
+    if (img.srcset) return;
+    
     // Generate responsive src based on viewport
     const responsiveSrc = this.generateResponsiveSrc(baseSrc, viewportWidth, devicePixelRatio);
     
-    if (responsiveSrc !== img.src) {
+    if (img.tagName !== 'IMG') {
+      img.style.backgroundImage = `url("${responsiveSrc}")`;
+    } else if (responsiveSrc !== img.getAttribute('src')) {
       img.src = responsiveSrc;
     }
   }
   
   /**
-   * Generate responsive image source
+   * Generate responsive image source from the build's image manifest,
+   * falling back to the base source for images it doesn't cover
    */
-  generateResponsiveSrc(baseSrc, viewportWidth, devicePixelRatio) {
-    // This would typically integrate with a CDN or image service
-    // For now, return the base source
-    return baseSrc;
+  generateResponsiveSrc(baseSrc, viewportWidth, devicePixelRatio = 1) {
+    if (!getImageEntry(baseSrc)) return baseSrc;
+    
+    const format = this.options.enableWebP && this.supportsWebP() ? 'webp' : null;
+    return pickImageVariant(baseSrc, viewportWidth * devicePixelRatio, format);
+  }
+  
+  /**
+   * Check WebP support once
+   */
+  supportsWebP() {
+    if (this.webPSupported === undefined) {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        this.webPSupported = (canvas.toDataURL('image/webp') || '').startsWith('data:image/webp');
+      } catch (error) {
+        this.webPSupported = false;
+      }
+    }
+    
+    return this.webPSupported;
   }
   
   /**
@@ -623,11 +645,24 @@ export class MediaController {
     
     const preloadPromises = criticalMedia.map(media => this.loadMedia(media));
     
+    // Lazy images the browser never fetches (e.g. in hidden containers)
+    // would otherwise hold up the whole app
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), this.options.preloadTimeout);
+    });
+    
     try {
-      await Promise.all(preloadPromises);
-      console.log(`Preloaded ${criticalMedia.length} critical media elements`);
+      const finished = await Promise.race([Promise.all(preloadPromises).then(() => true), timeout]);
+      if (finished) {
+        console.log(`Preloaded ${criticalMedia.length} critical media elements`);
+      } else {
+        console.warn(`Critical media still loading after ${this.options.preloadTimeout}ms; continuing`);
+      }
     } catch (error) {
       console.warn('Some critical media failed to preload:', error);
+    } finally {
+      clearTimeout(timer);
     }
   }
   
@@ -697,9 +732,18 @@ export class MediaController {
     // Pause all videos
     this.videoPlayers.forEach(player => {
       this.pauseVideo(player.media);
+      player.controls.destroy();
     });
     this.videoPlayers.clear();
     
+    document.removeEventListener('click', handleFacadeClick);
+    this.lightbox.destroy();
+    this.teamProfile.destroy();
+    this.videoModal.destroy();
+    document.removeEventListener('toggle', handleTranscriptToggle, true);
+    document.removeEventListener('load', handleImageLoad, true);
+    document.removeEventListener('error', handleImageLoad, true);
+    
     // Clear media elements
     this.mediaElements.clear();
     this.loadedMedia.clear();
@@ -5,6 +5,13 @@
  * Provides smooth transitions and accessibility features
  */
 
+// Dialogs with their own URL: #<section id>/photo/<number> for lightbox
+// photos, #<section id>/member/<member id> for team profiles
+const VIEW_ROUTE = /^([\w-]+)\/(photo|member)\/([\w-]+)$/;
+
+// Events from the dialogs that have a URL
+const VIEW_EVENT_SOURCES = ['gallery', 'profile'];
+
 export class NavigationController {
   constructor(options = {}) {
     this.options = {
@@ -19,11 +26,15 @@ export class NavigationController {
     this.currentSectionIndex = 0;
     this.isNavigating = false;
     this.navigationHistory = [];
+    this.currentHash = '';
     
     // Bind methods
     this.handleKeydown = this.handleKeydown.bind(this);
     this.handleHashChange = this.handleHashChange.bind(this);
     this.handleNavClick = this.handleNavClick.bind(this);
+    this.handleViewOpen = this.handleViewOpen.bind(this);
+    this.handleViewChange = this.handleViewChange.bind(this);
+    this.handleViewClose = this.handleViewClose.bind(this);
   }
   
   /**
@@ -107,15 +118,29 @@ export class NavigationController {
    * Handle keyboard events
    */
   handleKeydown(event) {
-    // Don't interfere with form inputs
-    if (event.target.matches('input, textarea, select, [contenteditable]')) {
+    // Don't interfere with form inputs or sliders, which use the arrow keys
+    if (event.target.matches('input, textarea, select, [contenteditable], [role="slider"]')) {
+      return;
+    }
+    
+    // Keys pressed inside an open dialog (e.g. the lightbox) belong to it
+    if (event.target.closest('[aria-modal="true"]')) {
       return;
     }
     
     switch (event.key) {
+      case ' ': // Spacebar
+        // Let buttons, disclosures and other controls keep their
+        // activation behaviour, and text fields their spaces
+        if (event.target.closest('button, a, summary, [role="button"], video, input, select, textarea, [contenteditable]')) {
+          break;
+        }
+        event.preventDefault();
+        this.navigateNext();
+        break;
+        
       case 'ArrowDown':
       case 'PageDown':
-      case ' ': // Spacebar
         event.preventDefault();
         this.navigateNext();
         break;
@@ -202,6 +227,24 @@ export class NavigationController {
   setupURLRouting() {
     window.addEventListener('hashchange', this.handleHashChange);
     window.addEventListener('popstate', this.handleHashChange);
+    
+    // Lightbox photos and team profiles get their own URL and history entry
+    VIEW_EVENT_SOURCES.forEach(source => {
+      document.addEventListener(`${source}:open`, this.handleViewOpen);
+      document.addEventListener(`${source}:change`, this.handleViewChange);
+      document.addEventListener(`${source}:close`, this.handleViewClose);
+    });
+  }
+  
+  /**
+   * Split a URL hash into its section id and, for dialog routes, the view
+   * ('photo' or 'member') and the item it shows
+   */
+  parseRoute(hash) {
+    const match = hash.match(VIEW_ROUTE);
+    return match
+      ? { sectionId: match[1], view: match[2], item: match[3] }
+      : { sectionId: hash, view: null, item: null };
   }
   
   /**
@@ -209,6 +252,25 @@ export class NavigationController {
    */
   handleHashChange() {
     const hash = window.location.hash.slice(1);
+    
+    // One history step can fire both popstate and hashchange
+    if (hash === this.currentHash) return;
+    
+    const previous = this.parseRoute(this.currentHash);
+    const route = this.parseRoute(hash);
+    this.currentHash = hash;
+    
+    if (route.view) {
+      this.dispatchNavigationEvent(route.view, route);
+      return;
+    }
+    
+    // Stepping back out of a dialog keeps the reader where they were
+    if (previous.view) {
+      this.dispatchNavigationEvent(`${previous.view}close`, previous);
+      return;
+    }
+    
     if (hash && this.sections.find(s => s.id === hash)) {
       this.navigateToSection(hash, false); // Don't update URL again
     }
@@ -219,14 +281,68 @@ export class NavigationController {
    */
   handleInitialURL() {
     const hash = window.location.hash.slice(1);
-    if (hash && this.sections.find(s => s.id === hash)) {
+    const route = this.parseRoute(hash);
+    this.currentHash = hash;
+    
+    if (route.sectionId && this.sections.find(s => s.id === route.sectionId)) {
       // Delay to ensure page is loaded
       setTimeout(() => {
-        this.navigateToSection(hash, false);
+        this.navigateToSection(route.sectionId, false);
+        
+        if (route.view) {
+          this.dispatchNavigationEvent(route.view, route);
+        }
       }, 100);
     }
   }
   
+  /**
+   * Give a dialog's item ({ sectionId, view, item }) its own history entry
+   */
+  handleViewOpen(event) {
+    const { sectionId, view, item } = event.detail;
+    if (!sectionId) return;
+    
+    this.setViewURL(sectionId, view, item, 'pushState');
+  }
+  
+  /**
+   * Keep the URL on the item shown; browsing items adds no history
+   */
+  handleViewChange(event) {
+    const { sectionId, view, item } = event.detail;
+    if (!sectionId || !this.parseRoute(this.currentHash).view) return;
+    
+    this.setViewURL(sectionId, view, item, 'replaceState');
+  }
+  
+  /**
+   * Leave the dialog URL when it closes: step back over the entry it
+   * pushed, or replace a dialog URL the page was opened with
+   */
+  handleViewClose(event) {
+    const { sectionId } = event.detail;
+    if (!this.parseRoute(this.currentHash).view) return;
+    
+    if (history.state && history.state.view) {
+      history.back();
+    } else {
+      this.currentHash = sectionId || '';
+      history.replaceState(null, '', `${window.location.pathname}${window.location.search}${sectionId ? `#${sectionId}` : ''}`);
+    }
+  }
+  
+  /**
+   * Point the URL at a dialog's item. Pushed entries are marked so closing
+   * knows it can step back over them.
+   */
+  setViewURL(sectionId, view, item, method) {
+    const state = method === 'pushState' ? { view: true } : history.state;
+    
+    this.currentHash = `${sectionId}/${view}/${item}`;
+    history[method](state, '', `${window.location.pathname}${window.location.search}#${this.currentHash}`);
+  }
+  
   /**
    * Set up navigation links
    */
@@ -248,12 +364,12 @@ export class NavigationController {
    * Handle navigation link clicks
    */
   handleNavClick(event) {
-    event.preventDefault();
-    
     const href = event.currentTarget.getAttribute('href');
     const sectionId = href.slice(1);
     
+    // Leave non-section anchors (e.g. citation links) to the browser
     if (sectionId && this.sections.find(s => s.id === sectionId)) {
+      event.preventDefault();
       this.navigateToSection(sectionId);
     }
   }
@@ -324,6 +440,19 @@ export class NavigationController {
     });
   }
   
+  /**
+   * Mark a section as current without scrolling (e.g. when the user scrolls)
+   */
+  syncToSection(sectionId) {
+    if (this.isNavigating) return;
+    
+    const section = this.sections.find(s => s.id === sectionId);
+    if (!section || section.index === this.currentSectionIndex) return;
+    
+    this.currentSectionIndex = section.index;
+    this.updateActiveNavigation();
+  }
+  
   /**
    * Scroll to section with smooth animation
    */
@@ -380,6 +509,7 @@ export class NavigationController {
     
     // Use pushState to avoid triggering hashchange
     history.pushState(null, '', newURL);
+    this.currentHash = sectionId;
   }
   
   /**
@@ -543,6 +673,11 @@ export class NavigationController {
     document.removeEventListener('keydown', this.handleKeydown);
     window.removeEventListener('hashchange', this.handleHashChange);
     window.removeEventListener('popstate', this.handleHashChange);
+    VIEW_EVENT_SOURCES.forEach(source => {
+      document.removeEventListener(`${source}:open`, this.handleViewOpen);
+      document.removeEventListener(`${source}:change`, this.handleViewChange);
+      document.removeEventListener(`${source}:close`, this.handleViewClose);
+    });
     
     // Remove navigation link listeners
     const navLinks = document.querySelectorAll('.nav-link[href^="#"], a[href^="#"]:not(.nav-link)');
@@ -260,9 +260,6 @@ export class ProgressIndicator {
       // Calculate scroll progress
       this.calculateScrollProgress();
       
-      // Calculate section progress
-      this.calculateSectionProgress();
-      
       // Update visual indicators
       this.updateVisualIndicators();
       
@@ -293,41 +290,13 @@ export class ProgressIndicator {
   }
   
   /**
-   * Calculate current section progress
+   * Set the current section's progress (0-1), as measured by the engine
    */
-  calculateSectionProgress() {
-    const sections = document.querySelectorAll('.story-section[id]');
-    const viewportCenter = window.innerHeight / 2;
-    let currentSectionIndex = 0;
-    let maxVisibility = 0;
-    
-    sections.forEach((section, index) => {
-      const rect = section.getBoundingClientRect();
-      const sectionCenter = rect.top + rect.height / 2;
-      const distanceFromCenter = Math.abs(sectionCenter - viewportCenter);
-      const visibility = Math.max(0, 1 - distanceFromCenter / viewportCenter);
-      
-      if (visibility > maxVisibility) {
-        maxVisibility = visibility;
-        currentSectionIndex = index;
-      }
-    });
+  setSectionProgress(progress) {
+    this.sectionProgress = progress;
     
-    // Update current section if changed
-    if (currentSectionIndex !== this.currentSection) {
-      this.currentSection = currentSectionIndex;
-      this.onSectionChange(currentSectionIndex);
-    }
-    
-    // Calculate progress within current section
-    if (sections[currentSectionIndex]) {
-      const section = sections[currentSectionIndex];
-      const rect = section.getBoundingClientRect();
-      const sectionProgress = Math.max(0, Math.min(1, 
-        (viewportCenter - rect.top) / rect.height
-      ));
-      
-      this.sectionProgress = sectionProgress;
+    if (this.sectionIndicator) {
+      this.sectionIndicator.style.setProperty('--section-progress', progress.toFixed(4));
     }
   }
   
@@ -359,7 +328,8 @@ export class ProgressIndicator {
       const isPassed = index < this.currentSection;
       
       if (isActive) {
-        dot.style.background = 'rgba(255, 255, 255, 1)';
+        // Fills clockwise with the engine's progress through the section
+        dot.style.background = 'conic-gradient(rgba(255, 255, 255, 1) calc(var(--section-progress, 0) * 360deg), rgba(255, 255, 255, 0.25) 0)';
         dot.style.borderColor = 'rgba(255, 255, 255, 1)';
         dot.style.transform = 'scale(1.2)';
       } else if (isPassed) {
@@ -434,10 +404,14 @@ export class ProgressIndicator {
   }
   
   /**
-   * Set current section manually
+   * Set the current section, as chosen by the engine
    */
   setCurrentSection(sectionIndex) {
     if (sectionIndex >= 0 && sectionIndex < this.totalSections) {
+      if (sectionIndex !== this.currentSection) {
+        this.onSectionChange(sectionIndex);
+      }
+      
       this.currentSection = sectionIndex;
       this.updateVisualIndicators();
     }
@@ -0,0 +1,129 @@
+/**
+ * RESPONSIVE IMAGES
+ *
+ * Renders srcset/sizes from the image manifest that the responsive images
+ * plugin inlines at build time. Images missing from the manifest (or pages
+ * run outside Vite) fall back to a plain <img>.
+ *
+ * Manifest images reserve their aspect ratio and sit on a blurred preview
+ * over their dominant colour; they fade in once loaded ('media-loaded').
+ */
+
+/* global __DIAGRAMA_IMAGES__ */
+
+import { html, safeURL } from './html.js';
+
+const IMAGE_PATH = '/assets/images/';
+
+const SOURCE_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp'
+};
+
+// sizes attributes matching the layouts in main.css
+export const IMAGE_SIZES = {
+  gallery: '(max-width: 768px) 100vw, 33vw',
+  galleryLarge: '(max-width: 768px) 100vw, 66vw',
+  teamPhoto: '120px',
+  profilePhoto: '(max-width: 768px) 160px, 240px'
+};
+
+// Replaced by the images plugin; undefined outside Vite
+const imageManifest = typeof __DIAGRAMA_IMAGES__ !== 'undefined' ? __DIAGRAMA_IMAGES__ : {};
+
+/**
+ * Look up an image by its resolved src, e.g. '/assets/images/Kate Bjur.jpg'
+ */
+export function getImageEntry(src) {
+  if (typeof src !== 'string') return null;
+
+  // img.src is absolute; same-origin URLs match by path
+  if (typeof location !== 'undefined' && src.startsWith(`${location.origin}/`)) {
+    src = src.slice(location.origin.length);
+  }
+
+  if (!src.startsWith(IMAGE_PATH)) return null;
+
+  let file;
+  try {
+    file = decodeURI(src.slice(IMAGE_PATH.length).split(/[?#]/)[0]);
+  } catch (error) {
+    return null;
+  }
+
+  return Object.prototype.hasOwnProperty.call(imageManifest, file) ? imageManifest[file] : null;
+}
+
+/**
+ * Build a srcset attribute value from manifest sources
+ */
+export function buildSrcset(sources = []) {
+  // Variant names are slugs, but encode anyway: spaces and commas split srcset
+  return sources.map(source => `${encodeURI(source.src)} ${source.width}w`).join(', ');
+}
+
+/**
+ * Pick the smallest variant at least `width` pixels wide, or the largest one
+ */
+export function pickImageVariant(src, width, format) {
+  const entry = getImageEntry(src);
+  if (!entry) return null;
+
+  const sources = entry.sources[format] || entry.sources[entry.fallback];
+  return (sources.find(source => source.width >= width) || sources[sources.length - 1]).src;
+}
+
+/**
+ * Render an image with AVIF/WebP sources, a srcset fallback, intrinsic size
+ * and a placeholder frame
+ *
+ *   renderImage('/assets/images/David.jpg', { alt: 'David', sizes: '120px' })
+ */
+export function renderImage(src, options = {}) {
+  const { alt = '', sizes = '100vw', className, loading = 'lazy' } = options;
+  const entry = getImageEntry(src);
+
+  if (!entry) {
+    return html`<img src="${src}" alt="${alt}"${className ? html` class="${className}"` : ''} loading="${loading}">`;
+  }
+
+  const fallback = entry.sources[entry.fallback];
+  const placeholder = entry.placeholder
+    ? html` class="image-frame" style="--placeholder-color: ${entry.color}; --placeholder-image: url('${safeURL(entry.placeholder)}')"`
+    : '';
+
+  return html`
+    <picture${placeholder}>
+      ${Object.entries(SOURCE_TYPES).filter(([format]) => entry.sources[format]).map(([format, type]) => html`
+        <source type="${type}" srcset="${buildSrcset(entry.sources[format])}" sizes="${sizes}">
+      `)}
+      <img src="${fallback[fallback.length - 1].src}" srcset="${buildSrcset(fallback)}" sizes="${sizes}" width="${entry.width}" height="${entry.height}" alt="${alt}"${className ? html` class="${className}"` : ''} loading="${loading}" decoding="async">
+    </picture>
+  `;
+}
+
+/**
+ * Mark a framed image as loaded so it fades in over its placeholder
+ */
+function revealImage(img) {
+  if (img.tagName === 'IMG' && img.closest('.image-frame')) {
+    img.classList.add('media-loaded');
+  }
+}
+
+/**
+ * Delegated load/error handler for images rendered at any time, including
+ * re-renders. Load events don't bubble, so register it with capture.
+ */
+export function handleImageLoad(event) {
+  revealImage(event.target);
+}
+
+/**
+ * Reveal framed images that finished loading before anything was listening
+ */
+export function revealLoadedImages(root = document) {
+  root.querySelectorAll('.image-frame img').forEach(img => {
+    if (img.complete) revealImage(img);
+  });
+}
@@ -0,0 +1,191 @@
+/**
+ * SCHEMA VALIDATOR
+ *
+ * Minimal JSON Schema validator shared by the browser and the node content
+ * scripts. Supports the subset used by the content schemas: type, required,
+ * properties, additionalProperties, items, enum, minLength, minItems,
+ * minimum, maximum, pattern and anyOf.
+ */
+
+/**
+ * Validate a value against a schema
+ *
+ * Returns an array of { path, message, expected, actual }, empty when valid.
+ * Paths use JSONPath notation, e.g. $.stats[1].label
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (!schema) return errors;
+
+  // anyOf: valid if any branch produces no errors
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map(branch => validateSchema(value, branch, path));
+    if (!branchErrors.some(branch => branch.length === 0)) {
+      errors.push({
+        path,
+        message: `expected ${describeAnyOf(schema.anyOf)}, got ${describeValue(value)}`,
+        expected: describeAnyOf(schema.anyOf),
+        actual: getType(value)
+      });
+    }
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(' or ');
+    errors.push({
+      path,
+      message: `expected ${expected}, got ${describeValue(value)}`,
+      expected,
+      actual: getType(value)
+    });
+
+    // Nested checks make no sense on the wrong type
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const expected = `one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    errors.push({ path, message: `expected ${expected}, got ${describeValue(value)}`, expected, actual: getType(value) });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      const expected = schema.minLength === 1 ? 'non-empty string' : `string of at least ${schema.minLength} characters`;
+      errors.push({ path, message: `expected ${expected}, got ${describeValue(value)}`, expected, actual: 'string' });
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path,
+        message: `expected string matching ${schema.pattern}, got ${describeValue(value)}`,
+        expected: `string matching ${schema.pattern}`,
+        actual: 'string'
+      });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({
+      path,
+      message: `expected number >= ${schema.minimum}, got ${value}`,
+      expected: `number >= ${schema.minimum}`,
+      actual: 'number'
+    });
+  }
+
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({
+      path,
+      message: `expected number <= ${schema.maximum}, got ${value}`,
+      expected: `number <= ${schema.maximum}`,
+      actual: 'number'
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      const expected = `array with at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`;
+      errors.push({ path, message: `expected ${expected}, got ${value.length}`, expected, actual: 'array' });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        const expected = describeSchemaType(schema.properties && schema.properties[key]);
+        errors.push({
+          path: joinPath(path, key),
+          message: `missing required property (expected ${expected})`,
+          expected,
+          actual: 'undefined'
+        });
+      }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertySchema = schema.properties && schema.properties[key];
+
+      if (propertySchema) {
+        errors.push(...validateSchema(propertyValue, propertySchema, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        const expected = `one of ${Object.keys(schema.properties || {}).join(', ')}`;
+        errors.push({
+          path: joinPath(path, key),
+          message: `unknown property (expected ${expected})`,
+          expected,
+          actual: getType(propertyValue)
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, joinPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Get the JSON type name of a value
+ */
+export function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a type or list of types
+ */
+function matchesType(value, type) {
+  return [].concat(type).some(expected => {
+    const actual = getType(value);
+    if (expected === 'number') return actual === 'number' || actual === 'integer';
+    return actual === expected;
+  });
+}
+
+/**
+ * Append a property to a JSON path
+ */
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Describe a value for error messages
+ */
+function describeValue(value) {
+  const type = getType(value);
+  if (type === 'string') {
+    return `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value)}`;
+  }
+  if (type === 'integer' || type === 'number' || type === 'boolean') {
+    return `${type} ${value}`;
+  }
+  return type;
+}
+
+/**
+ * Describe the type a schema expects
+ */
+function describeSchemaType(schema) {
+  if (!schema) return 'a value';
+  if (schema.anyOf) return describeAnyOf(schema.anyOf);
+  return schema.type ? [].concat(schema.type).join(' or ') : 'a value';
+}
+
+/**
+ * Describe the alternatives of an anyOf
+ */
+function describeAnyOf(branches) {
+  return branches.map(describeSchemaType).join(' or ');
+}
@@ -5,21 +5,47 @@
  * Handles section detection, progress tracking, and animation triggers
  */
 
+import { getCounterProgress, getCounters, setCounterProgress } from './counter.js';
+import { sectionTypes } from './sections/index.js';
+
+// CSS class each data-animate type adds alongside 'visible'
+const ANIMATION_CLASSES = {
+  'fade-up': 'fade-up',
+  'slide-up': 'slide-up',
+  'slide-left': 'slide-left',
+  'slide-right': 'slide-right',
+  'scale-in': 'scale-in',
+  'timeline': 'timeline-item'
+};
+
+// data-animate-mode values; 'once' is the default
+const ANIMATION_MODES = ['once', 'replay', 'reverse-on-exit', 'scrub'];
+
+const COUNTER_DURATION = 2000;
+const COUNTER_STAGGER = 200;
+
 export class ScrollytellingEngine {
   constructor(options = {}) {
     this.options = {
       threshold: options.threshold || 0.2,
-      debounce: options.debounce || 16,
       rootMargin: options.rootMargin || '0px',
+      // Steps activate as they cross this line (fraction of viewport height)
+      stepOffset: options.stepOffset || 0.5,
+      sectionTypes: options.sectionTypes || sectionTypes,
       ...options
     };
     
     this.sections = new Map();
     this.currentSection = null;
     this.scrollProgress = 0;
+    this.scrollDirection = 'down';
+    this.lastScrollTop = 0;
     this.isScrolling = false;
     this.observers = new Map();
     this.callbacks = new Map();
+    this.animationsByElement = new Map();
+    this.counterFrames = new WeakMap();
+    this.scrollFrame = null;
     
     // Bind methods
     this.handleIntersection = this.handleIntersection.bind(this);
@@ -68,9 +94,16 @@ export class ScrollytellingEngine {
         visibilityRatio: 0,
         animations: this.discoverSectionAnimations(element),
         media: this.discoverSectionMedia(element),
+        steps: [],
+        stepOffset: this.options.stepOffset,
+        activeStep: null,
+        timeline: null,
+        progress: 0,
+        pinnedProgress: 0,
         bounds: null
       };
       
+      this.discoverSectionSteps(sectionData);
       this.sections.set(sectionData.id, sectionData);
     });
     
@@ -78,6 +111,18 @@ export class ScrollytellingEngine {
     this.updateSectionBounds();
   }
   
+  /**
+   * Find a section's [data-step] elements and its step trigger line (the
+   * nearest data-step-offset, or the stepOffset option). Call again after
+   * re-rendering the section.
+   */
+  discoverSectionSteps(section) {
+    const offsetElement = section.element.querySelector('[data-step-offset]');
+    
+    section.steps = Array.from(section.element.querySelectorAll('[data-step]'));
+    section.stepOffset = offsetElement ? parseFloat(offsetElement.dataset.stepOffset) : this.options.stepOffset;
+  }
+  
   /**
    * Discover animations within a section
    */
@@ -89,12 +134,25 @@ export class ScrollytellingEngine {
       const animationType = el.dataset.animate;
       const delay = parseFloat(el.dataset.animateDelay) || index * 0.1;
       const duration = parseFloat(el.dataset.animateDuration) || 0.8;
+      const mode = ANIMATION_MODES.includes(el.dataset.animateMode) ? el.dataset.animateMode : 'once';
+      
+      // Scrubbed elements hold their start state until scroll moves them
+      if (mode === 'scrub' && animationType !== 'counter') {
+        el.classList.add(ANIMATION_CLASSES[animationType] || 'fade-in', 'animate-scrub');
+      }
+      
+      // Counters render their final value; wind them back until they play
+      if (animationType === 'counter' && !this.prefersReducedMotion()) {
+        getCounters(el).forEach(counter => setCounterProgress(counter, 0));
+      }
       
       animations.push({
         element: el,
         type: animationType,
         delay: delay,
         duration: duration,
+        mode: mode,
+        timer: null,
         triggered: false
       });
     });
@@ -143,8 +201,28 @@ export class ScrollytellingEngine {
       animationObserver.observe(section.element);
     });
     
+    // Replayable and reversible animations also toggle on their own
+    // element crossing 80% of the viewport height
+    const toggleObserver = new IntersectionObserver(
+      this.handleAnimationToggle.bind(this),
+      {
+        threshold: 0,
+        rootMargin: '0px 0px -20% 0px'
+      }
+    );
+    
+    this.sections.forEach(section => {
+      section.animations.forEach(animation => {
+        if (animation.mode === 'replay' || animation.mode === 'reverse-on-exit') {
+          this.animationsByElement.set(animation.element, animation);
+          toggleObserver.observe(animation.element);
+        }
+      });
+    });
+    
     this.observers.set('sections', sectionObserver);
     this.observers.set('animations', animationObserver);
+    this.observers.set('animationToggles', toggleObserver);
   }
   
   /**
@@ -216,6 +294,28 @@ export class ScrollytellingEngine {
         if (section && section.animations.length > 0) {
           this.triggerSectionAnimations(section);
         }
+        
+        if (section) {
+          this.playSectionTimeline(section);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Play replayable and reversible animations as their element comes into
+   * view, and reset them as it leaves: 'replay' in either direction,
+   * 'reverse-on-exit' only when scrolled back up past it
+   */
+  handleAnimationToggle(entries) {
+    entries.forEach(entry => {
+      const animation = this.animationsByElement.get(entry.target);
+      if (!animation) return;
+      
+      if (entry.isIntersecting) {
+        this.scheduleAnimation(animation);
+      } else if (animation.triggered && (animation.mode === 'replay' || entry.boundingClientRect.top > 0)) {
+        this.resetAnimation(animation);
       }
     });
   }
@@ -249,104 +349,128 @@ export class ScrollytellingEngine {
    * Handle section visibility changes
    */
   handleSectionVisibility(section, entry) {
-    // Section-specific handling based on type
-    switch (section.type) {
-      case 'hero':
-        this.handleHeroSection(section, entry);
-        break;
-      case 'crisis':
-        this.handleCrisisSection(section, entry);
-        break;
-      case 'solution':
-        this.handleSolutionSection(section, entry);
-        break;
-      case 'timeline':
-        this.handleTimelineSection(section, entry);
-        break;
-      case 'investment':
-        this.handleInvestmentSection(section, entry);
-        break;
-      default:
-        this.handleDefaultSection(section, entry);
+    const { onVisibility, onScroll, animations } = this.options.sectionTypes.get(section.type);
+    
+    if (onVisibility) {
+      onVisibility(section, entry, this);
     }
-  }
-  
-  /**
-   * Handle hero section visibility
-   */
-  handleHeroSection(section, entry) {
-    if (entry.isIntersecting) {
-      // Start hero video if present
-      const video = section.element.querySelector('.hero-video');
-      if (video && video.paused) {
-        video.play().catch(console.warn);
-      }
+    
+    // Also runs on leave, so progress settles at 0/1 and a step still active
+    // when scrolled past exits
+    this.updateSectionProgress(section);
+    this.updateSectionSteps(section);
+    this.updateScrubAnimations(section);
+    
+    // Sync scroll-driven sections as soon as they appear, before any scroll
+    if (onScroll && entry.isIntersecting) {
+      onScroll(section, section.pinnedProgress, this);
+    }
+    
+    if (animations && entry.isIntersecting) {
+      this.triggerTypeAnimations(section, entry, animations);
+    }
+    
+    // Rewind replayable timelines once the section is off screen
+    if (!entry.isIntersecting && section.timeline && section.timeline.replay) {
+      section.timeline.timeline.pause(0);
+      section.timeline.played = false;
     }
   }
   
   /**
-   * Handle crisis section visibility
+   * Run the staggered animations a section type declares
    */
-  handleCrisisSection(section, entry) {
-    if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
-      // Trigger counter animations
-      this.triggerCounterAnimations(section);
-    }
+  triggerTypeAnimations(section, entry, animations) {
+    animations.forEach(animation => {
+      if (animation.minRatio && entry.intersectionRatio <= animation.minRatio) return;
+      
+      const elements = section.element.querySelectorAll(animation.selector);
+      elements.forEach((element, index) => {
+        setTimeout(() => {
+          if (animation.animate === 'counter') {
+            this.animateCounter(element);
+          } else {
+            element.classList.add(...animation.classes);
+          }
+        }, index * (animation.stagger || 0));
+      });
+    });
   }
   
   /**
-   * Handle solution section visibility
+   * Give a section an animation timeline (e.g. from
+   * AnimationController.createTimeline) to play when it enters. With
+   * replay, it rewinds when the section leaves and plays again next time.
    */
-  handleSolutionSection(section, entry) {
-    if (entry.isIntersecting) {
-      // Trigger comparison reveal
-      this.triggerComparisonAnimation(section);
-    }
+  setSectionTimeline(sectionId, timeline, { replay = false } = {}) {
+    const section = this.sections.get(sectionId);
+    if (!section) return;
+    
+    section.timeline = timeline ? { timeline, replay, played: false } : null;
   }
   
   /**
-   * Handle timeline section visibility
+   * Play a section's timeline unless it has already played
    */
-  handleTimelineSection(section, entry) {
-    if (entry.isIntersecting) {
-      // Trigger timeline item animations
-      this.triggerTimelineAnimations(section);
-    }
+  playSectionTimeline(section) {
+    if (!section.timeline || section.timeline.played) return;
+    
+    section.timeline.played = true;
+    section.timeline.timeline.play();
+    this.emit('timelinePlayed', section);
   }
   
   /**
-   * Handle investment section visibility
+   * Stop running the class-based [data-animate] animations (all but
+   * counters and reveals) and return them, back in their unstyled state,
+   * for AnimationController to run on GSAP ScrollTrigger instead
    */
-  handleInvestmentSection(section, entry) {
-    if (entry.isIntersecting) {
-      // Trigger tier animations
-      this.triggerTierAnimations(section);
-    }
+  releaseClassAnimations() {
+    const released = [];
+    const toggleObserver = this.observers.get('animationToggles');
+    
+    this.sections.forEach(section => {
+      section.animations = section.animations.filter(animation => {
+        if (!ANIMATION_CLASSES[animation.type]) return true;
+        
+        const { element } = animation;
+        clearTimeout(animation.timer);
+        animation.timer = null;
+        animation.triggered = false;
+        
+        if (toggleObserver) toggleObserver.unobserve(element);
+        this.animationsByElement.delete(element);
+        
+        element.classList.remove(ANIMATION_CLASSES[animation.type], 'animate-scrub', 'visible');
+        element.style.removeProperty('--animate-progress');
+        
+        released.push(animation);
+        return false;
+      });
+    });
+    
+    return released;
   }
   
   /**
-   * Handle default section visibility
+   * Trigger animations for a section
    */
-  handleDefaultSection(section, entry) {
-    // Default behavior for sections without specific handling
-    if (entry.isIntersecting) {
-      this.triggerSectionAnimations(section);
-    }
+  triggerSectionAnimations(section) {
+    section.animations.forEach(animation => this.scheduleAnimation(animation));
   }
   
   /**
-   * Trigger animations for a section
+   * Trigger an animation after its delay, unless it has already been
+   * triggered or follows the scroll position instead
    */
-  triggerSectionAnimations(section) {
-    section.animations.forEach((animation, index) => {
-      if (!animation.triggered) {
-        setTimeout(() => {
-          this.triggerAnimation(animation);
-        }, animation.delay * 1000);
-        
-        animation.triggered = true;
-      }
-    });
+  scheduleAnimation(animation) {
+    if (animation.triggered || animation.mode === 'scrub') return;
+    
+    animation.triggered = true;
+    animation.timer = setTimeout(() => {
+      animation.timer = null;
+      this.triggerAnimation(animation);
+    }, animation.delay * 1000);
   }
   
   /**
@@ -357,122 +481,134 @@ export class ScrollytellingEngine {
     const type = animation.type;
     
     // Add animation class based on type
-    switch (type) {
-      case 'fade-up':
-        element.classList.add('fade-up', 'visible');
-        break;
-      case 'slide-up':
-        element.classList.add('slide-up', 'visible');
-        break;
-      case 'slide-left':
-        element.classList.add('slide-left', 'visible');
-        break;
-      case 'slide-right':
-        element.classList.add('slide-right', 'visible');
-        break;
-      case 'scale-in':
-        element.classList.add('scale-in', 'visible');
-        break;
-      case 'counter':
-        this.animateCounter(element);
-        break;
-      case 'timeline':
-        element.classList.add('timeline-item', 'visible');
-        break;
-      case 'reveal':
-        this.triggerRevealAnimation(element);
-        break;
-      default:
-        element.classList.add('fade-in', 'visible');
+    if (type === 'counter') {
+      this.animateCounter(element);
+    } else if (type === 'reveal') {
+      this.triggerRevealAnimation(element);
+    } else {
+      element.classList.add(ANIMATION_CLASSES[type] || 'fade-in', 'visible');
     }
     
     this.emit('animationTriggered', { animation, element });
   }
   
   /**
-   * Animate counter elements
+   * Return an animation to its start state so it can play again. Reversed
+   * animations transition back; counters count back down.
    */
-  animateCounter(element) {
-    const target = parseInt(element.dataset.target) || 0;
-    const duration = 2000; // 2 seconds
-    const startTime = performance.now();
-    const startValue = 0;
+  resetAnimation(animation) {
+    const { element, type, mode } = animation;
     
-    const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      
-      // Easing function (ease-out)
-      const easeOut = 1 - Math.pow(1 - progress, 3);
-      const currentValue = Math.floor(startValue + (target - startValue) * easeOut);
-      
-      element.textContent = currentValue;
-      
-      if (progress < 1) {
-        requestAnimationFrame(animate);
+    clearTimeout(animation.timer);
+    animation.timer = null;
+    animation.triggered = false;
+    
+    if (type === 'counter') {
+      if (mode === 'reverse-on-exit') {
+        this.animateCounter(element, { to: 0 });
       } else {
-        element.textContent = target;
+        this.stopCounter(element);
+        getCounters(element).forEach(counter => setCounterProgress(counter, 0));
       }
-    };
+    } else if (type === 'reveal') {
+      Array.from(element.children).forEach(child => child.classList.remove('visible'));
+    } else {
+      element.classList.remove('visible');
+    }
     
-    requestAnimationFrame(animate);
+    this.emit('animationReset', { animation, element });
+  }
+  
+  /**
+   * Set scrubbed animations to the scroll position: 0 as an element's top
+   * enters at the bottom of the viewport, 1 once it reaches the middle
+   */
+  updateScrubAnimations(section) {
+    this.applyScrubAnimations(this.measureScrubAnimations(section));
   }
   
   /**
-   * Trigger comparison reveal animation
+   * Measure where each scrubbed animation of a section should be
    */
-  triggerComparisonAnimation(section) {
-    const before = section.element.querySelector('.comparison-before');
-    const after = section.element.querySelector('.comparison-after');
-    const arrow = section.element.querySelector('.comparison-arrow');
+  measureScrubAnimations(section) {
+    const reducedMotion = this.prefersReducedMotion();
     
-    if (before) {
-      setTimeout(() => before.classList.add('visible'), 0);
-    }
-    if (arrow) {
-      setTimeout(() => arrow.classList.add('visible'), 300);
-    }
-    if (after) {
-      setTimeout(() => after.classList.add('visible'), 600);
-    }
+    return section.animations.filter(animation => animation.mode === 'scrub').map(animation => {
+      if (reducedMotion) return { animation, progress: 1 };
+      
+      const rect = animation.element.getBoundingClientRect();
+      return { animation, progress: Math.min(Math.max((window.innerHeight - rect.top) / (window.innerHeight / 2), 0), 1) };
+    });
   }
   
   /**
-   * Trigger counter animations for crisis section
+   * Apply measured scrub positions
    */
-  triggerCounterAnimations(section) {
-    const counters = section.element.querySelectorAll('[data-target]');
-    counters.forEach((counter, index) => {
-      setTimeout(() => {
-        this.animateCounter(counter);
-      }, index * 200);
+  applyScrubAnimations(scrubs) {
+    scrubs.forEach(({ animation, progress }) => {
+      animation.element.style.setProperty('--animate-progress', progress.toFixed(3));
+      
+      if (animation.type === 'counter') {
+        getCounters(animation.element).forEach(counter => setCounterProgress(counter, progress));
+      }
     });
   }
   
   /**
-   * Trigger timeline animations
+   * Count the counters in an element (or the element itself) from where
+   * they are to a fraction of their final value, one after another
    */
-  triggerTimelineAnimations(section) {
-    const timelineItems = section.element.querySelectorAll('.timeline-item');
-    timelineItems.forEach((item, index) => {
-      setTimeout(() => {
-        item.classList.add('visible');
-      }, index * 300);
+  animateCounter(element, { to = 1 } = {}) {
+    const startTime = performance.now();
+    
+    getCounters(element).forEach((counter, index) => {
+      this.stopCounter(counter);
+      
+      if (this.prefersReducedMotion()) {
+        setCounterProgress(counter, to);
+        return;
+      }
+      
+      const from = getCounterProgress(counter);
+      const counterStart = startTime + index * COUNTER_STAGGER;
+      
+      const animate = (currentTime) => {
+        const progress = Math.min(Math.max((currentTime - counterStart) / COUNTER_DURATION, 0), 1);
+        
+        // Easing function (ease-out)
+        const easeOut = 1 - Math.pow(1 - progress, 3);
+        setCounterProgress(counter, from + (to - from) * easeOut);
+        
+        if (progress < 1) {
+          this.counterFrames.set(counter, requestAnimationFrame(animate));
+        } else {
+          this.counterFrames.delete(counter);
+        }
+      };
+      
+      this.counterFrames.set(counter, requestAnimationFrame(animate));
     });
   }
   
   /**
-   * Trigger tier animations
+   * Stop running counter animations in an element
    */
-  triggerTierAnimations(section) {
-    const tiers = section.element.querySelectorAll('.tier-item');
-    tiers.forEach((tier, index) => {
-      setTimeout(() => {
-        tier.classList.add('slide-up', 'visible');
-      }, index * 200);
+  stopCounter(element) {
+    getCounters(element).forEach(counter => {
+      if (this.counterFrames.has(counter)) {
+        cancelAnimationFrame(this.counterFrames.get(counter));
+        this.counterFrames.delete(counter);
+      }
     });
   }
   
+  /**
+   * Whether the reader asked for reduced motion
+   */
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+  
   /**
    * Trigger reveal animation
    */
@@ -486,19 +622,182 @@ export class ScrollytellingEngine {
   }
   
   /**
-   * Handle scroll events
+   * Handle scroll events: update once per frame, however many scroll
+   * events arrive
    */
   handleScroll() {
-    this.updateProgress();
-    this.updateSectionBounds();
+    if (this.scrollFrame) return;
     
-    // Emit scroll progress
-    this.emit('scroll', {
-      progress: this.scrollProgress,
-      currentSection: this.currentSection
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      
+      // Read every position before writing any, so the frame lays out once
+      this.updateSectionBounds();
+      const measurements = this.measureScrollSections();
+      
+      this.updateProgress();
+      this.updateScrollSections(measurements);
+      
+      // Emit scroll progress
+      this.emit('scroll', {
+        progress: this.scrollProgress,
+        currentSection: this.currentSection
+      });
+    });
+  }
+  
+  /**
+   * Measure the progress, active step and scrubbed animations of visible
+   * sections, without changing anything
+   */
+  measureScrollSections() {
+    return this.getSections()
+      .filter(section => section.isVisible)
+      .map(section => ({
+        section,
+        progress: this.measureSectionProgress(section),
+        activeStep: this.measureActiveStep(section),
+        scrubs: this.measureScrubAnimations(section)
+      }));
+  }
+  
+  /**
+   * Apply measured section progress, steps and scrubbed animations, and pass
+   * progress on to section types that handle it
+   */
+  updateScrollSections(measurements) {
+    measurements.forEach(({ section, progress, activeStep, scrubs }) => {
+      this.updateSectionProgress(section, progress);
+      this.setActiveStep(section, activeStep);
+      this.applyScrubAnimations(scrubs);
+      
+      const { onScroll } = this.options.sectionTypes.get(section.type);
+      if (onScroll) {
+        onScroll(section, section.pinnedProgress, this);
+      }
     });
   }
   
+  /**
+   * Publish a section's progress (measured now unless given) when it
+   * changes: on the section object, as --section-progress and
+   * --section-pinned-progress on its element, and through the
+   * sectionProgress event
+   */
+  updateSectionProgress(section, measured = this.measureSectionProgress(section)) {
+    const { progress, pinnedProgress } = measured;
+    if (progress === section.progress && pinnedProgress === section.pinnedProgress) return;
+    
+    section.progress = progress;
+    section.pinnedProgress = pinnedProgress;
+    
+    section.element.style.setProperty('--section-progress', progress.toFixed(4));
+    section.element.style.setProperty('--section-pinned-progress', pinnedProgress.toFixed(4));
+    
+    this.emit('sectionProgress', { section, progress, pinnedProgress });
+  }
+  
+  /**
+   * Track the active step of a section: the [data-step] element crossing the
+   * trigger line, set by the nearest data-step-offset in the section or the
+   * stepOffset option. Emits stepExit/stepEnter as the active step changes
+   * and stepProgress (0-1 through the step) while one is active.
+   */
+  updateSectionSteps(section) {
+    if (!section.steps.length && !section.activeStep) return;
+    
+    this.setActiveStep(section, this.measureActiveStep(section));
+  }
+  
+  /**
+   * Find the step crossing a visible section's trigger line, if any
+   */
+  measureActiveStep(section) {
+    if (!section.isVisible || !section.steps.length) return null;
+    
+    const line = window.innerHeight * section.stepOffset;
+    let active = null;
+    
+    section.steps.forEach((element, index) => {
+      const rect = element.getBoundingClientRect();
+      
+      if (rect.top <= line && rect.bottom > line) {
+        active = { element, index, progress: (line - rect.top) / rect.height };
+      }
+    });
+    
+    return active;
+  }
+  
+  /**
+   * Make a measured step the active one, emitting the step events
+   */
+  setActiveStep(section, active) {
+    if (!active && !section.activeStep) return;
+    
+    const previous = section.activeStep;
+    
+    if (previous && (!active || previous.element !== active.element)) {
+      previous.element.classList.remove('active');
+      previous.element.removeAttribute('aria-current');
+      this.emitStep('stepExit', section, previous);
+    }
+    
+    if (active && (!previous || previous.element !== active.element)) {
+      active.element.classList.add('active');
+      active.element.setAttribute('aria-current', 'step');
+      this.emitStep('stepEnter', section, active);
+    }
+    
+    section.activeStep = active;
+    
+    if (active) {
+      this.emitStep('stepProgress', section, active);
+    }
+  }
+  
+  /**
+   * Emit a step event and pass it to the section type's onStep handler
+   */
+  emitStep(event, section, step) {
+    const detail = {
+      section,
+      element: step.element,
+      index: step.index,
+      id: step.element.dataset.step || String(step.index),
+      direction: this.scrollDirection,
+      progress: step.progress
+    };
+    
+    step.element.style.setProperty('--step-progress', step.progress.toFixed(3));
+    
+    const { onStep } = this.options.sectionTypes.get(section.type);
+    if (onStep) {
+      onStep(section, { ...detail, type: event }, this);
+    }
+    
+    this.emit(event, detail);
+  }
+  
+  /**
+   * Measure a section's progress (0-1) through the viewport:
+   * - progress: from its top entering at the bottom of the viewport to its
+   *   bottom leaving at the top
+   * - pinnedProgress: from its top reaching the top of the viewport to its
+   *   bottom reaching the bottom, the range a sticky child stays pinned for
+   */
+  measureSectionProgress(section) {
+    const rect = section.element.getBoundingClientRect();
+    const viewportHeight = window.innerHeight;
+    const pinnedDistance = rect.height - viewportHeight;
+    const clamp = value => Math.min(Math.max(value, 0), 1);
+    
+    return {
+      progress: clamp((viewportHeight - rect.top) / (viewportHeight + rect.height)),
+      pinnedProgress: pinnedDistance > 0 ? clamp(-rect.top / pinnedDistance) : (rect.top <= 0 ? 1 : 0)
+    };
+  }
+  
   /**
    * Update scroll progress
    */
@@ -506,6 +805,11 @@ export class ScrollytellingEngine {
     const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
     const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
     
+    if (scrollTop !== this.lastScrollTop) {
+      this.scrollDirection = scrollTop > this.lastScrollTop ? 'down' : 'up';
+      this.lastScrollTop = scrollTop;
+    }
+    
     this.scrollProgress = Math.min(scrollTop / scrollHeight, 1);
     
     // Update progress indicator
@@ -561,6 +865,16 @@ export class ScrollytellingEngine {
     return Array.from(this.sections.values());
   }
   
+  /**
+   * Get a section's last measured progress
+   */
+  getSectionProgress(sectionId) {
+    const section = this.sections.get(sectionId);
+    if (!section) return null;
+    
+    return { progress: section.progress, pinnedProgress: section.pinnedProgress };
+  }
+  
   /**
    * Get scroll progress
    */
@@ -622,6 +936,7 @@ export class ScrollytellingEngine {
       const rect = section.element.getBoundingClientRect();
       if (rect.top < window.innerHeight && rect.bottom > 0) {
         this.triggerSectionAnimations(section);
+        this.playSectionTimeline(section);
       }
     });
   }
@@ -638,10 +953,21 @@ export class ScrollytellingEngine {
     if (this.scrollListener) {
       window.removeEventListener('scroll', this.scrollListener);
     }
+    cancelAnimationFrame(this.scrollFrame);
+    this.scrollFrame = null;
     
     // Clear callbacks
     this.callbacks.clear();
     
+    // Cancel pending animations
+    this.sections.forEach(section => {
+      section.animations.forEach(animation => {
+        clearTimeout(animation.timer);
+        this.stopCounter(animation.element);
+      });
+    });
+    this.animationsByElement.clear();
+    
     // Clear sections
     this.sections.clear();
     
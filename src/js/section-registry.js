@@ -0,0 +1,77 @@
+/**
+ * SECTION REGISTRY
+ * 
+ * Maps section types to their definitions: content schema, renderer,
+ * visibility handler and animations. ContentManager and the engine look
+ * section types up here instead of switching on them.
+ */
+
+export class SectionRegistry {
+  constructor(options = {}) {
+    this.options = {
+      fallbackType: options.fallbackType || 'generic',
+      ...options
+    };
+    
+    this.definitions = new Map();
+  }
+  
+  /**
+   * Register a section type definition
+   * 
+   * - type: name used in structure.json and data-section-type
+   * - schema: JSON-Schema-style description of the content file
+   * - render(content, section): returns the section's inner HTML
+   * - update(element, content, section): optional in-place update, defaults to re-rendering
+   * - onVisibility(section, entry, engine): optional intersection handler
+   * - onScroll(section, progress, engine): optional, called on scroll while the
+   *   section is visible with its pinned progress (section.pinnedProgress)
+   * - onStep(section, step, engine): optional, called as the section's
+   *   [data-step] elements cross the step trigger line, with the same details
+   *   as the engine's stepEnter/stepExit/stepProgress events plus step.type
+   * - scroll: optional { pin, scrub: [{ selector, from, to }], snap } scroll
+   *   effects, run with GSAP ScrollTrigger (see AnimationController.createSectionScroll)
+   * - animations: optional [{ selector, classes | animate: 'counter', stagger, minRatio }]
+   *   run by the engine when the section enters the viewport
+   */
+  register(definition) {
+    if (!definition || !definition.type) {
+      throw new Error('Section type definition requires a type');
+    }
+    
+    if (typeof definition.render !== 'function') {
+      throw new Error(`Section type "${definition.type}" requires a render function`);
+    }
+    
+    this.definitions.set(definition.type, definition);
+    return this;
+  }
+  
+  /**
+   * Remove a section type
+   */
+  unregister(type) {
+    this.definitions.delete(type);
+  }
+  
+  /**
+   * Check if a section type is registered
+   */
+  has(type) {
+    return this.definitions.has(type);
+  }
+  
+  /**
+   * Get the definition for a type, falling back to the generic type
+   */
+  get(type) {
+    return this.definitions.get(type) || this.definitions.get(this.options.fallbackType);
+  }
+  
+  /**
+   * Get all registered type names
+   */
+  getTypes() {
+    return Array.from(this.definitions.keys());
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * CRISIS SECTION
+ * 
+ * Headline statistics and narrative blocks describing the current system
+ */
+
+import { renderCounter } from '../counter.js';
+import { html } from '../html.js';
+import { formatText, renderCitation, renderSectionHeader, updateSectionHeader } from './markup.js';
+import { sectionSchema, stat, textItem } from './schemas.js';
+
+export const crisisSection = {
+  type: 'crisis',
+  
+  schema: sectionSchema({
+    required: ['statistics'],
+    properties: {
+      statistics: { type: 'array', minItems: 1, items: stat },
+      narrative: { type: 'array', items: textItem }
+    }
+  }),
+  
+  render(content) {
+    return html`
+      <div class="section-background">
+        <div class="section-overlay"></div>
+      </div>
+      
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        <div class="crisis-stats" data-animate="counter">${renderStatistics(content.statistics)}</div>
+        ${content.narrative ? html`
+          <div class="crisis-narrative">
+            ${content.narrative.map(block => html`
+              <div class="narrative-block" data-animate="fade-up">
+                <h3>${block.title}</h3>
+                <p>${formatText(block.text)}</p>
+              </div>
+            `)}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  },
+  
+  update(element, content) {
+    updateSectionHeader(element, content);
+    
+    const statsContainer = element.querySelector('.crisis-stats');
+    if (statsContainer && content.statistics) {
+      statsContainer.innerHTML = renderStatistics(content.statistics);
+    }
+  }
+};
+
+/**
+ * Render crisis statistics
+ */
+function renderStatistics(statistics = []) {
+  return html`${statistics.map(stat => html`
+    <div class="crisis-stat">
+      ${stat.prefix ? html`<span class="stat-prefix">${stat.prefix}</span>` : ''}
+      <span class="stat-number">${renderCounter(stat.number)}${renderCitation(stat.ref)}</span>
+      ${stat.suffix ? html`<span class="stat-suffix">${stat.suffix}</span>` : ''}
+      <span class="stat-label">${stat.label}</span>
+      ${stat.context ? html`<span class="stat-context">${formatText(stat.context)}</span>` : ''}
+      ${stat.source ? html`<span class="stat-source">${stat.source}</span>` : ''}
+    </div>
+  `)}`;
+}
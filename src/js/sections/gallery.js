@@ -0,0 +1,57 @@
+/**
+ * GALLERY SECTION
+ * 
+ * Photo grid with caption overlays
+ */
+
+import { renderGallery } from '../gallery.js';
+import { html } from '../html.js';
+import { renderSectionHeader } from './markup.js';
+import { revealOnEnter } from './generic.js';
+import { assetPath, optionalText, sectionSchema } from './schemas.js';
+
+export const gallerySection = {
+  type: 'gallery',
+  
+  schema: sectionSchema({
+    required: ['images'],
+    properties: {
+      images: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['src', 'alt'],
+          properties: {
+            src: assetPath,
+            alt: optionalText,
+            title: optionalText,
+            description: optionalText,
+            size: { enum: ['large', 'normal'] }
+          }
+        }
+      },
+      // Gallery component options (see src/js/gallery.js)
+      layout: { enum: ['masonry', 'grid'] },
+      captions: { enum: ['overlay', 'below', 'none'] },
+      lightbox: { type: 'boolean' }
+    }
+  }),
+  
+  render(content) {
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        <div class="photo-gallery" data-animate="fade-up">
+          ${renderGallery(content.images, {
+            layout: content.layout,
+            captions: content.captions,
+            lightbox: content.lightbox
+          })}
+        </div>
+      </div>
+    `;
+  },
+  
+  onVisibility: revealOnEnter
+};
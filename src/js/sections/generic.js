@@ -0,0 +1,49 @@
+/**
+ * GENERIC SECTION
+ * 
+ * Header plus body text. Used for unknown types and as the fallback
+ * definition in the section registry.
+ */
+
+import { html } from '../html.js';
+import { formatText, renderSectionHeader, updateSectionHeader } from './markup.js';
+import { optionalText, sectionSchema } from './schemas.js';
+
+/**
+ * Visibility handler that reveals a section's data-animate elements on entry
+ */
+export function revealOnEnter(section, entry, engine) {
+  if (entry.isIntersecting) {
+    engine.triggerSectionAnimations(section);
+  }
+}
+
+export const genericSection = {
+  type: 'generic',
+  
+  schema: sectionSchema({
+    properties: {
+      content: optionalText
+    }
+  }),
+  
+  render(content) {
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        ${content.content ? html`<p class="section-description">${formatText(content.content)}</p>` : ''}
+      </div>
+    `;
+  },
+  
+  update(element, content) {
+    updateSectionHeader(element, content);
+    
+    const contentElement = element.querySelector('.section-content p, .section-description');
+    if (contentElement && content.content) {
+      contentElement.innerHTML = formatText(content.content);
+    }
+  },
+  
+  onVisibility: revealOnEnter
+};
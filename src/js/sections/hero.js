@@ -0,0 +1,107 @@
+/**
+ * HERO SECTION
+ * 
+ * Full-screen opener with background video, title and headline stats
+ */
+
+import { renderCounter } from '../counter.js';
+import { html } from '../html.js';
+import { formatText, renderCitation, renderTitleLines, resolveAsset } from './markup.js';
+import { renderTracks } from '../video-tracks.js';
+import { assetPath, captionFiles, optionalText, sectionSchema, stat, text, vttPath } from './schemas.js';
+
+export const heroSection = {
+  type: 'hero',
+  
+  schema: sectionSchema({
+    required: ['subtitle', 'stats'],
+    properties: {
+      tagline: optionalText,
+      stats: { type: 'array', items: stat },
+      media: {
+        type: 'object',
+        properties: {
+          backgroundVideo: assetPath,
+          fallbackImage: assetPath,
+          captions: captionFiles,
+          audioDescription: vttPath
+        }
+      },
+      accessibility: {
+        type: 'object',
+        properties: {
+          videoDescription: text,
+          altText: text
+        }
+      }
+    }
+  }),
+  
+  render(content) {
+    const media = content.media || {};
+    const accessibility = content.accessibility || {};
+    
+    return html`
+      <div class="hero-background">
+        ${media.backgroundVideo ? html`
+          <video class="hero-video" autoplay muted loop playsinline${accessibility.videoDescription ? html` aria-label="${accessibility.videoDescription}"` : ''}>
+            <source src="${resolveAsset(media.backgroundVideo, 'videos')}" type="video/${media.backgroundVideo.split('.').pop()}">
+            ${renderTracks(media)}
+          </video>
+        ` : ''}
+        ${media.fallbackImage ? html`
+          <img class="hero-fallback-image" src="${resolveAsset(media.fallbackImage, 'images')}" alt="${accessibility.altText || ''}">
+        ` : ''}
+        <div class="hero-overlay"></div>
+      </div>
+      
+      <div class="hero-content">
+        <h1 class="hero-title">${renderTitleLines(content.title)}</h1>
+        ${content.subtitle ? html`<p class="hero-subtitle">${formatText(content.subtitle)}</p>` : ''}
+        <div class="hero-stats" data-animate="counter">${renderStats(content.stats)}</div>
+      </div>
+    `;
+  },
+  
+  /**
+   * Update text in place so the background video keeps playing
+   */
+  update(element, content) {
+    const titleElement = element.querySelector('.hero-title');
+    if (titleElement && content.title) {
+      titleElement.innerHTML = renderTitleLines(content.title);
+    }
+    
+    const subtitleElement = element.querySelector('.hero-subtitle');
+    if (subtitleElement && content.subtitle) {
+      subtitleElement.innerHTML = formatText(content.subtitle);
+    }
+    
+    const statsContainer = element.querySelector('.hero-stats');
+    if (statsContainer && content.stats) {
+      statsContainer.innerHTML = renderStats(content.stats);
+    }
+  },
+  
+  onVisibility(section, entry) {
+    if (entry.isIntersecting) {
+      // Start hero video if present
+      const video = section.element.querySelector('.hero-video');
+      if (video && video.paused && !video.dataset.userPaused) {
+        video.play().catch(console.warn);
+      }
+    }
+  }
+};
+
+/**
+ * Render hero stats
+ */
+function renderStats(stats = []) {
+  return html`${stats.map(stat => html`
+    <div class="hero-stat">
+      <span class="stat-number">${renderCounter(stat.number)}${renderCitation(stat.ref)}</span>
+      <span class="stat-label">${stat.label}</span>
+    </div>
+  `)}`;
+}
@@ -0,0 +1,36 @@
+/**
+ * SECTION TYPES
+ * 
+ * Built-in section types, registered on the shared registry. To add a type,
+ * create a module exporting its definition and register it here (or call
+ * sectionTypes.register() from application code).
+ */
+
+import { SectionRegistry } from '../section-registry.js';
+import { genericSection } from './generic.js';
+import { heroSection } from './hero.js';
+import { crisisSection } from './crisis.js';
+import { videoSection } from './video.js';
+import { scrollVideoSection } from './scroll-video.js';
+import { solutionSection } from './solution.js';
+import { gallerySection } from './gallery.js';
+import { methodologySection } from './methodology.js';
+import { timelineSection } from './timeline.js';
+import { teamSection } from './team.js';
+import { investmentSection } from './investment.js';
+
+export const sectionTypes = new SectionRegistry();
+
+[
+  genericSection,
+  heroSection,
+  crisisSection,
+  videoSection,
+  scrollVideoSection,
+  solutionSection,
+  gallerySection,
+  methodologySection,
+  timelineSection,
+  teamSection,
+  investmentSection
+].forEach(definition => sectionTypes.register(definition));
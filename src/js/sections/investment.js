@@ -0,0 +1,82 @@
+/**
+ * INVESTMENT SECTION
+ * 
+ * Partnership opportunities and investment tiers
+ */
+
+import { html } from '../html.js';
+import { formatText, renderSectionHeader, updateSectionHeader } from './markup.js';
+import { sectionSchema, text, textItem } from './schemas.js';
+
+export const investmentSection = {
+  type: 'investment',
+  
+  schema: sectionSchema({
+    required: ['tiers'],
+    properties: {
+      opportunities: { type: 'array', items: textItem },
+      tiers: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title', 'amount', 'benefits'],
+          properties: {
+            title: text,
+            amount: text,
+            benefits: { type: 'array', items: text }
+          }
+        }
+      }
+    }
+  }),
+  
+  render(content) {
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        ${content.opportunities ? html`
+          <div class="investment-opportunity" data-animate="reveal">
+            <div class="opportunity-grid">
+              ${content.opportunities.map(item => html`
+                <div class="opportunity-item">
+                  <h3>${item.title}</h3>
+                  <p>${formatText(item.text)}</p>
+                </div>
+              `)}
+            </div>
+          </div>
+        ` : ''}
+        <div class="investment-tiers">${renderTiers(content.tiers)}</div>
+      </div>
+    `;
+  },
+  
+  update(element, content) {
+    updateSectionHeader(element, content);
+    
+    const tiersContainer = element.querySelector('.investment-tiers');
+    if (tiersContainer && content.tiers) {
+      tiersContainer.innerHTML = renderTiers(content.tiers);
+    }
+  },
+  
+  animations: [
+    { selector: '.tier-item', classes: ['slide-up', 'visible'], stagger: 200 }
+  ]
+};
+
+/**
+ * Render investment tiers
+ */
+function renderTiers(tiers = []) {
+  return html`${tiers.map(tier => html`
+    <div class="tier-item" data-animate="slide-up">
+      <h4>${tier.title}</h4>
+      <div class="tier-amount">${tier.amount}</div>
+      <ul class="tier-benefits">
+        ${tier.benefits.map(benefit => html`<li>${benefit}</li>`)}
+      </ul>
+    </div>
+  `)}`;
+}
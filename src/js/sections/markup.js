@@ -0,0 +1,88 @@
+/**
+ * SECTION MARKUP HELPERS
+ * 
+ * Shared building blocks for section renderers
+ */
+
+import { escapeHTML, html, safeURL, trustedHTML } from '../html.js';
+
+/**
+ * Inline SVG icon paths, referenced by name from content files
+ */
+export const ICONS = {
+  arrow: 'M13.025 1l-2.847 2.828 6.176 6.176h-16.354v3.992h16.354l-6.176 6.176 2.847 2.828 10.975-11z',
+  education: 'M12 3L1 9l4 2.18v6L12 21l7-3.82v-6L23 9l-11-6zM18.82 8.89L12 12.4 5.18 8.89 12 5.89l6.82 3zM17 15.99l-5 2.73-5-2.73v-3.82l5 2.73 5-2.73v3.82z',
+  community: 'M16 4c0-1.11.89-2 2-2s2 .89 2 2-.89 2-2 2-2-.89-2-2zM4 1c0-.55.45-1 1-1s1 .45 1 1-.45 1-1 1-1-.45-1-1zm4 3c0-.55.45-1 1-1s1 .45 1 1-.45 1-1 1-1-.45-1-1zm10 8.5c-.28 0-.5-.22-.5-.5s.22-.5.5-.5.5.22.5.5-.22.5-.5.5zM12 14c-3.86 0-7 3.14-7 7h14c0-3.86-3.14-7-7-7z',
+  check: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z',
+  progress: 'M6 2c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 2 2h8c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2H6zm0 2h8v16H6V4zm1 2v2h6V6H7zm0 3v2h6V9H7zm0 3v2h4v-2H7z',
+  heart: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm3.5 6L12 10.5 8.5 8 12 5.5 15.5 8zM12 13.5l3.5 2.5-3.5 2.5L8.5 16l3.5-2.5z'
+};
+
+/**
+ * Render a citation link to the references section
+ */
+export function renderCitation(ref) {
+  if (ref === undefined || ref === null) return '';
+  return html`<sup><a href="#ref-${ref}" class="citation">[${ref}]</a></sup>`;
+}
+
+/**
+ * Escape content text and turn inline [n] markers into citation links
+ */
+export function formatText(text = '') {
+  return trustedHTML(escapeHTML(text).replace(/\[(\d+)\]/g, (match, ref) => renderCitation(ref)));
+}
+
+/**
+ * Render section header (title and subtitle)
+ */
+export function renderSectionHeader(content) {
+  return html`
+    <header class="section-header">
+      ${content.title ? html`<h2 class="section-title">${formatText(content.title)}</h2>` : ''}
+      ${content.subtitle ? html`<p class="section-subtitle">${formatText(content.subtitle)}</p>` : ''}
+    </header>
+  `;
+}
+
+/**
+ * Update an existing section header in place
+ */
+export function updateSectionHeader(element, content) {
+  const titleElement = element.querySelector('.section-title, h1, h2');
+  if (titleElement && content.title) {
+    titleElement.innerHTML = formatText(content.title);
+  }
+  
+  const subtitleElement = element.querySelector('.section-subtitle');
+  if (subtitleElement && content.subtitle) {
+    subtitleElement.innerHTML = formatText(content.subtitle);
+  }
+}
+
+/**
+ * Render a multi-line title as title-line spans
+ */
+export function renderTitleLines(title = '') {
+  return html`${title.split('\n').map(line =>
+    html`<span class="title-line">${line}</span>`
+  )}`;
+}
+
+/**
+ * Render a named icon from the icon set
+ */
+export function renderIcon(name) {
+  const path = ICONS[name];
+  if (!path) return '';
+  return html`<svg viewBox="0 0 24 24" width="48" height="48" fill="currentColor" aria-hidden="true"><path d="${path}"/></svg>`;
+}
+
+/**
+ * Resolve a bare asset filename against the assets folder. Script URLs are
+ * neutralised, so the result is safe for src/href attributes.
+ */
+export function resolveAsset(path, folder) {
+  if (/^(\/|https?:|data:)/.test(path)) return safeURL(path);
+  return `/assets/${folder}/${path}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * METHODOLOGY SECTION
+ * 
+ * Core principles, the staged progression model and key outcome metrics
+ */
+
+import { renderCounter } from '../counter.js';
+import { html } from '../html.js';
+import { formatText, renderCitation, renderIcon, renderSectionHeader } from './markup.js';
+import { revealOnEnter } from './generic.js';
+import { iconCard, optionalText, sectionSchema, stat, textItem } from './schemas.js';
+
+export const methodologySection = {
+  type: 'methodology',
+  
+  schema: sectionSchema({
+    required: ['principles', 'stages'],
+    properties: {
+      principles: { type: 'array', items: iconCard },
+      stages: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+          title: optionalText,
+          // 'scrolly' pins a stage graphic beside the stage text as it scrolls by
+          layout: { enum: ['row', 'scrolly'] },
+          // Where on screen (0 = top, 1 = bottom) a stage becomes active
+          stepOffset: { type: 'number', minimum: 0, maximum: 1 },
+          items: { type: 'array', minItems: 1, items: textItem }
+        }
+      },
+      metrics: { type: 'array', items: stat }
+    }
+  }),
+  
+  render(content) {
+    const stages = content.stages || {};
+    
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        <div class="methodology-widget" data-animate="fade-up">
+          ${content.principles ? html`
+            <div class="methodology-principles">
+              ${content.principles.map(principle => html`
+                <div class="principle-card">
+                  <div class="principle-icon">${renderIcon(principle.icon)}</div>
+                  <h3>${principle.title}</h3>
+                  <p>${formatText(principle.text)}</p>
+                </div>
+              `)}
+            </div>
+          ` : ''}
+          ${stages.items ? html`
+            <div class="methodology-stages${stages.layout === 'scrolly' ? ' stages-scrolly' : ''}">
+              ${stages.title ? html`<h3>${stages.title}</h3>` : ''}
+              ${stages.layout === 'scrolly' ? renderScrollyStages(stages) : html`
+                <ol class="stages-container">
+                  ${stages.items.map((stage, index) => html`
+                    <li class="stage-item">
+                      <span class="stage-number" aria-hidden="true">${index + 1}</span>
+                      <h4>${stage.title}</h4>
+                      <p>${stage.text}</p>
+                    </li>
+                  `)}
+                </ol>
+              `}
+            </div>
+          ` : ''}
+          ${content.metrics ? html`
+            <div class="methodology-metrics" data-animate="counter">
+              ${content.metrics.map(metric => html`
+                <div class="metric-item">
+                  <div class="metric-number">${renderCounter(metric.number)}${renderCitation(metric.ref)}</div>
+                  <div class="metric-label">${metric.label}</div>
+                  ${metric.context ? html`<div class="metric-context">${formatText(metric.context)}</div>` : ''}
+                  ${metric.note ? html`<div class="metric-note">${metric.note}</div>` : ''}
+                </div>
+              `)}
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  },
+  
+  onVisibility: revealOnEnter,
+  
+  /**
+   * Move the stage graphic along with the stage text
+   */
+  onStep(section, step) {
+    const graphic = section.element.querySelector('.stage-graphic');
+    if (!graphic) return;
+    
+    const nodes = graphic.querySelectorAll('.stage-graphic-node');
+    
+    if (step.type === 'stepEnter') {
+      nodes.forEach((node, index) => {
+        node.classList.toggle('active', index === step.index);
+        node.classList.toggle('complete', index < step.index);
+      });
+    } else if (step.type === 'stepExit') {
+      nodes[step.index].classList.remove('active');
+      nodes[step.index].classList.toggle('complete', step.direction === 'down');
+    }
+    
+    // Fill the track up to the reader's position within the current stage
+    const progress = step.type === 'stepExit'
+      ? step.index + (step.direction === 'down' ? 1 : 0)
+      : step.index + step.progress;
+    graphic.style.setProperty('--stage-progress', (progress / nodes.length).toFixed(3));
+  }
+};
+
+/**
+ * Render the stages as steps scrolling past a pinned stage graphic. The
+ * graphic repeats the step titles, so it's hidden from assistive technology.
+ */
+function renderScrollyStages(stages) {
+  return html`
+    <div class="scrolly"${stages.stepOffset !== undefined ? html` data-step-offset="${stages.stepOffset}"` : ''}>
+      <div class="scrolly-graphic" aria-hidden="true">
+        <div class="stage-graphic" style="--stage-count: ${stages.items.length}">
+          <div class="stage-graphic-track"><span class="stage-graphic-fill"></span></div>
+          <ol class="stage-graphic-nodes">
+            ${stages.items.map((stage, index) => html`
+              <li class="stage-graphic-node">
+                <span class="stage-number">${index + 1}</span>
+                <span class="stage-graphic-label">${stage.title}</span>
+              </li>
+            `)}
+          </ol>
+        </div>
+      </div>
+      <ol class="scrolly-steps">
+        ${stages.items.map((stage, index) => html`
+          <li class="stage-item scrolly-step" data-step="${stage.title}">
+            <span class="stage-number" aria-hidden="true">${index + 1}</span>
+            <h4>${stage.title}</h4>
+            <p>${stage.text}</p>
+          </li>
+        `)}
+      </ol>
+    </div>
+  `;
+}
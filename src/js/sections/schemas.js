@@ -0,0 +1,103 @@
+/**
+ * SHARED SCHEMA FRAGMENTS
+ *
+ * JSON Schema pieces reused across section type schemas
+ */
+
+export const text = { type: 'string', minLength: 1 };
+
+export const optionalText = { type: 'string' };
+
+// Citation number linking to #ref-N in the references section
+export const citationRef = { type: 'integer', minimum: 1 };
+
+// Asset path: a filename under /assets/, an absolute path or a URL
+export const assetPath = { type: 'string', minLength: 1 };
+
+// WebVTT file for captions, descriptions or a timed transcript
+export const vttPath = { type: 'string', pattern: '\\.vtt$' };
+
+// Caption files keyed by language code, e.g. { "en": "story.en.vtt" }
+export const captionFiles = { type: 'object', additionalProperties: vttPath };
+
+export const stat = {
+  type: 'object',
+  required: ['number', 'label'],
+  properties: {
+    prefix: optionalText,
+    number: text,
+    ref: citationRef,
+    label: text,
+    description: optionalText,
+    context: optionalText,
+    source: optionalText,
+    note: optionalText,
+    type: { enum: ['positive', 'negative'] }
+  }
+};
+
+export const iconCard = {
+  type: 'object',
+  required: ['title', 'text'],
+  properties: {
+    icon: optionalText,
+    title: text,
+    text: text
+  }
+};
+
+export const textItem = {
+  type: 'object',
+  required: ['title', 'text'],
+  properties: {
+    title: text,
+    text: text
+  }
+};
+
+// Entrance animation sequence played when the section enters the viewport.
+// Each step animates the elements matching `target` (a CSS selector within
+// the section) after the previous step ends, plus `delay` (negative overlaps).
+export const animationTimeline = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    // Play again each time the section comes back into view
+    replay: { type: 'boolean' },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['target'],
+        properties: {
+          target: text,
+          type: { enum: ['fade-in', 'fade-up', 'slide-up', 'slide-left', 'slide-right', 'scale-in'] },
+          delay: { type: 'number' },
+          duration: { type: 'number', minimum: 0 },
+          // GSAP ease name, e.g. "power2.out"
+          ease: text,
+          // Seconds between each matched element
+          stagger: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Base object schema with the title/subtitle header every section renders
+ * and the optional animation timeline every section can play
+ */
+export function sectionSchema({ required = [], properties = {} } = {}) {
+  return {
+    type: 'object',
+    required: ['title', ...required],
+    properties: {
+      title: text,
+      subtitle: optionalText,
+      animation: animationTimeline,
+      ...properties
+    }
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * SCROLL VIDEO SECTION
+ *
+ * A self-hosted video pinned to the viewport whose playback position follows
+ * the reader's scroll, with text steps that appear along the way.
+ *
+ * Seeking is only instant on keyframes, so encode these videos with a
+ * keyframe on every frame (or every few), e.g.
+ *   ffmpeg -i in.mp4 -an -c:v libx264 -g 1 -crf 23 -movflags +faststart out.mp4
+ */
+
+import { html } from '../html.js';
+import { formatText, renderSectionHeader, resolveAsset } from './markup.js';
+import { assetPath, sectionSchema, text } from './schemas.js';
+
+const DEFAULT_FRAME_RATE = 30;
+const DEFAULT_SCROLL_LENGTH = 4;
+
+// Scrub state per video element; re-rendered sections start fresh
+const scrubbers = new WeakMap();
+
+export const scrollVideoSection = {
+  type: 'scroll-video',
+  
+  schema: sectionSchema({
+    required: ['video', 'description'],
+    properties: {
+      video: assetPath,
+      poster: assetPath,
+      // Text alternative describing what the video shows
+      description: text,
+      // Scroll distance in viewport heights
+      scrollLength: { type: 'number', minimum: 1 },
+      frameRate: { type: 'number', minimum: 1 },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['at', 'text'],
+          properties: {
+            // Progress (0-1) through the section where the step appears
+            at: { type: 'number', minimum: 0 },
+            text: text
+          }
+        }
+      }
+    }
+  }),
+  
+  render(content, section) {
+    const descriptionId = `${section.id}-video-description`;
+    const steps = [...(content.steps || [])].sort((a, b) => a.at - b.at);
+    
+    return html`
+      <div class="scroll-video-track" style="--scroll-length: ${content.scrollLength || DEFAULT_SCROLL_LENGTH}">
+        <div class="scroll-video-sticky">
+          <video class="scroll-video" src="${resolveAsset(content.video, 'videos')}"${content.poster ? html` poster="${resolveAsset(content.poster, 'images')}"` : ''} muted playsinline preload="auto" data-scroll-video data-frame-rate="${content.frameRate || DEFAULT_FRAME_RATE}" aria-describedby="${descriptionId}"></video>
+          <p class="sr-only" id="${descriptionId}">${content.description}</p>
+          <div class="scroll-video-overlay">
+            ${renderSectionHeader(content)}
+          </div>
+          <div class="scroll-video-steps">
+            ${steps.map((step, index) => html`
+              <div class="scroll-video-step" data-at="${step.at}"${steps[index + 1] ? html` data-end="${steps[index + 1].at}"` : ''}>
+                <p>${formatText(step.text)}</p>
+              </div>
+            `)}
+          </div>
+        </div>
+      </div>
+    `;
+  },
+  
+  onScroll(section, progress) {
+    const video = section.element.querySelector('[data-scroll-video]');
+    if (!video) return;
+    
+    // Each step shows until the next one starts; the last stays to the end
+    section.element.querySelectorAll('.scroll-video-step').forEach(step => {
+      const end = step.dataset.end === undefined ? Infinity : Number(step.dataset.end);
+      step.classList.toggle('active', progress >= Number(step.dataset.at) && progress < end);
+    });
+    
+    // Readers who prefer reduced motion get the steps over a still frame
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+    
+    getScrubber(video).seekTo(progress);
+  }
+};
+
+/**
+ * Get or create the scrubber for a video
+ */
+function getScrubber(video) {
+  if (!scrubbers.has(video)) {
+    scrubbers.set(video, createScrubber(video));
+  }
+  
+  return scrubbers.get(video);
+}
+
+/**
+ * Seek a video to scroll progress, one seek at a time: while a seek is in
+ * flight only the latest target is kept, then applied once it completes
+ */
+function createScrubber(video) {
+  const frameRate = Number(video.dataset.frameRate) || DEFAULT_FRAME_RATE;
+  let target = null;
+  let frame = null;
+  
+  const apply = () => {
+    frame = null;
+    if (target === null || video.seeking || !Number.isFinite(video.duration)) return;
+    
+    // Aim for the middle of the frame so rounding never shows its neighbour
+    const frameIndex = Math.min(Math.floor(target * video.duration * frameRate), Math.max(Math.ceil(video.duration * frameRate) - 1, 0));
+    const time = (frameIndex + 0.5) / frameRate;
+    target = null;
+    
+    if (Math.abs(video.currentTime - time) >= 1 / frameRate / 2) {
+      video.currentTime = time;
+    }
+  };
+  
+  const schedule = () => {
+    if (frame === null) {
+      frame = requestAnimationFrame(apply);
+    }
+  };
+  
+  video.addEventListener('seeked', schedule);
+  video.addEventListener('loadedmetadata', schedule);
+  
+  return {
+    seekTo(progress) {
+      target = progress;
+      schedule();
+    }
+  };
+}
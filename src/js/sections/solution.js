@@ -0,0 +1,107 @@
+/**
+ * SOLUTION SECTION
+ * 
+ * Before/after comparison of outcomes followed by the model's key features
+ */
+
+import { renderCounter } from '../counter.js';
+import { html } from '../html.js';
+import { formatText, renderCitation, renderIcon, renderSectionHeader, updateSectionHeader } from './markup.js';
+import { iconCard, sectionSchema, stat, text } from './schemas.js';
+
+const comparisonColumn = {
+  type: 'object',
+  required: ['title', 'stats'],
+  properties: {
+    title: text,
+    stats: { type: 'array', items: stat }
+  }
+};
+
+export const solutionSection = {
+  type: 'solution',
+  
+  schema: sectionSchema({
+    required: ['comparison', 'features'],
+    properties: {
+      comparison: {
+        type: 'object',
+        required: ['before', 'after'],
+        properties: {
+          before: comparisonColumn,
+          after: comparisonColumn
+        }
+      },
+      features: { type: 'array', items: iconCard }
+    }
+  }),
+  
+  render(content) {
+    const comparison = content.comparison;
+    
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        ${comparison ? html`
+          <div class="solution-comparison">
+            <div class="comparison-before">${renderComparisonSide(comparison.before)}</div>
+            <div class="comparison-arrow" aria-hidden="true">${renderIcon('arrow')}</div>
+            <div class="comparison-after">${renderComparisonSide(comparison.after)}</div>
+          </div>
+        ` : ''}
+        ${content.features ? html`
+          <div class="solution-features">
+            <div class="feature-grid">
+              ${content.features.map(feature => html`
+                <div class="feature-item">
+                  <div class="feature-icon">${renderIcon(feature.icon)}</div>
+                  <h4>${feature.title}</h4>
+                  <p>${formatText(feature.text)}</p>
+                </div>
+              `)}
+            </div>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  },
+  
+  update(element, content) {
+    updateSectionHeader(element, content);
+    
+    if (content.comparison) {
+      const beforeElement = element.querySelector('.comparison-before');
+      const afterElement = element.querySelector('.comparison-after');
+      
+      if (beforeElement && content.comparison.before) {
+        beforeElement.innerHTML = renderComparisonSide(content.comparison.before);
+      }
+      
+      if (afterElement && content.comparison.after) {
+        afterElement.innerHTML = renderComparisonSide(content.comparison.after);
+      }
+    }
+  },
+  
+  // Reveal before, arrow, then after
+  animations: [
+    { selector: '.comparison-before, .comparison-arrow, .comparison-after', classes: ['visible'], stagger: 300 }
+  ]
+};
+
+/**
+ * Render one side of the comparison
+ */
+function renderComparisonSide(data = {}) {
+  return html`
+    <h3>${data.title || ''}</h3>
+    <div class="comparison-stats" data-animate="counter">
+      ${(data.stats || []).map(stat => html`
+        <div class="comparison-stat ${stat.type || ''}">
+          <span class="stat-number">${renderCounter(stat.number)}${renderCitation(stat.ref)}</span>
+          <span class="stat-label">${stat.label}</span>
+        </div>
+      `)}
+    </div>
+  `;
+}
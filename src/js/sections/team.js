@@ -0,0 +1,131 @@
+/**
+ * TEAM SECTION
+ * 
+ * Grid of team member cards. Each card carries its member's full profile in
+ * a <template>, shown in the profile dialog (src/js/team-profile.js).
+ */
+
+import { html, safeURL } from '../html.js';
+import { IMAGE_SIZES, renderImage } from '../responsive-images.js';
+import { renderSectionHeader, resolveAsset } from './markup.js';
+import { revealOnEnter } from './generic.js';
+import { assetPath, optionalText, sectionSchema, text } from './schemas.js';
+
+/**
+ * Slug of a member's name ("Dr David McGuire" -> "dr-david-mcguire"); empty
+ * for names with no Latin letters or digits
+ */
+export function slugifyName(name = '') {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * A member's id for profile URLs: their own, a slug of their name, or else
+ * their position in the team ("member-3"). `npm run content:check` reports
+ * position ids and ids used twice in one team.
+ */
+export function getMemberId(member, index) {
+  return member.id || slugifyName(member.name) || `member-${index + 1}`;
+}
+
+/**
+ * Full profile markup, cloned into the profile dialog when opened
+ */
+function renderProfile(member) {
+  return html`
+    <div class="profile-photo">
+      ${renderImage(resolveAsset(member.photo, 'images'), { alt: member.name, sizes: IMAGE_SIZES.profilePhoto, loading: 'eager' })}
+    </div>
+    <div class="profile-details">
+      <h3 class="profile-name">${member.name}</h3>
+      <p class="profile-role">${member.role}</p>
+      ${member.credentials && member.credentials.length ? html`
+        <ul class="profile-credentials">
+          ${member.credentials.map(credential => html`<li>${credential}</li>`)}
+        </ul>
+      ` : ''}
+      <div class="profile-bio">
+        ${(member.bio || member.description || '').split(/\n{2,}/).filter(Boolean).map(paragraph => html`<p>${paragraph}</p>`)}
+      </div>
+      ${member.links && member.links.length ? html`
+        <ul class="profile-links">
+          ${member.links.map(link => html`<li><a href="${safeURL(link.url)}" target="_blank" rel="noopener">${link.label}</a></li>`)}
+        </ul>
+      ` : ''}
+    </div>
+  `;
+}
+
+export const teamSection = {
+  type: 'team',
+  
+  schema: sectionSchema({
+    required: ['members'],
+    properties: {
+      members: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name', 'role', 'photo'],
+          properties: {
+            // Used in profile URLs; defaults to a slug of the name
+            id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+            name: text,
+            role: text,
+            description: optionalText,
+            photo: assetPath,
+            bio: optionalText,
+            credentials: { type: 'array', items: text },
+            links: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['label', 'url'],
+                properties: {
+                  label: text,
+                  url: text
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }),
+  
+  render(content) {
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        <div class="team-gallery" data-animate="fade-up">
+          <div class="team-grid">
+            ${(content.members || []).map((member, index) => html`
+              <div class="team-member" data-member="${getMemberId(member, index)}">
+                <div class="member-photo">
+                  ${renderImage(resolveAsset(member.photo, 'images'), { alt: member.name, sizes: IMAGE_SIZES.teamPhoto })}
+                </div>
+                <div class="member-info">
+                  <h4>${member.name}</h4>
+                  <p class="member-role">${member.role}</p>
+                  ${member.description ? html`<p class="member-description">${member.description}</p>` : ''}
+                  <button type="button" class="member-profile-open" aria-haspopup="dialog">
+                    Read full profile<span class="sr-only">: ${member.name}</span>
+                  </button>
+                </div>
+                <template class="member-profile">${renderProfile(member)}</template>
+              </div>
+            `)}
+          </div>
+        </div>
+      </div>
+    `;
+  },
+  
+  onVisibility: revealOnEnter
+};
@@ -0,0 +1,91 @@
+/**
+ * TIMELINE SECTION
+ * 
+ * Phased implementation timeline with budget and outcomes, plus summary figures
+ */
+
+import { renderCounter } from '../counter.js';
+import { html } from '../html.js';
+import { formatText, renderCitation, renderSectionHeader, updateSectionHeader } from './markup.js';
+import { optionalText, sectionSchema, stat, text } from './schemas.js';
+
+export const timelineSection = {
+  type: 'timeline',
+  
+  schema: sectionSchema({
+    required: ['timeline'],
+    properties: {
+      timeline: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title', 'description'],
+          properties: {
+            title: text,
+            duration: optionalText,
+            budget: optionalText,
+            description: text,
+            outcomes: { type: 'array', items: text }
+          }
+        }
+      },
+      summary: { type: 'array', items: stat }
+    }
+  }),
+  
+  render(content) {
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        <div class="timeline-container">
+          <div class="timeline-track">${renderItems(content.timeline)}</div>
+        </div>
+        ${content.summary ? html`
+          <div class="implementation-summary" data-animate="counter">
+            ${content.summary.map(stat => html`
+              <div class="summary-stat">
+                <span class="stat-number">${renderCounter(stat.number)}${renderCitation(stat.ref)}</span>
+                <span class="stat-label">${stat.label}</span>
+              </div>
+            `)}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  },
+  
+  update(element, content) {
+    updateSectionHeader(element, content);
+    
+    const timelineContainer = element.querySelector('.timeline-track');
+    if (timelineContainer && content.timeline) {
+      timelineContainer.innerHTML = renderItems(content.timeline);
+    }
+  },
+  
+  animations: [
+    { selector: '.timeline-item', classes: ['visible'], stagger: 300 }
+  ]
+};
+
+/**
+ * Render timeline items
+ */
+function renderItems(timeline = []) {
+  return html`${timeline.map(item => html`
+    <div class="timeline-item"${item.year ? html` data-year="${item.year}"` : ''} data-animate="timeline">
+      <div class="timeline-marker"></div>
+      <div class="timeline-content">
+        <h3>${item.title}</h3>
+        <div class="timeline-duration">${[item.duration, item.budget].filter(Boolean).join(' • ')}</div>
+        <p>${formatText(item.description)}</p>
+        ${item.outcomes ? html`
+          <ul class="timeline-outcomes">
+            ${item.outcomes.map(outcome => html`<li>${outcome}</li>`)}
+          </ul>
+        ` : ''}
+      </div>
+    </div>
+  `)}`;
+}
@@ -0,0 +1,105 @@
+/**
+ * VIDEO SECTION
+ * 
+ * Featured video embed with an optional gallery of further videos. Gallery
+ * videos show as thumbnails that play in the video modal.
+ */
+
+import { html } from '../html.js';
+import { getPosterSrc, getProviderNotice, renderEmbed, resolveEmbed } from '../embeds.js';
+import { renderSectionHeader } from './markup.js';
+import { revealOnEnter } from './generic.js';
+import { assetPath, captionFiles, optionalText, sectionSchema, text, vttPath } from './schemas.js';
+
+// Provider fields may be left empty; the renderer uses the first one set
+const videoEntry = {
+  type: 'object',
+  properties: {
+    title: optionalText,
+    embedCode: optionalText,
+    youtubeId: optionalText,
+    vimeoId: optionalText,
+    description: optionalText,
+    poster: assetPath,
+    thumbnail: assetPath,
+    captions: captionFiles,
+    audioDescription: vttPath,
+    // A WebVTT file for a timed transcript, or the transcript text itself
+    transcript: optionalText
+  }
+};
+
+/**
+ * Render a gallery card: a thumbnail whose play button opens the video
+ * modal, with the player kept in a template until then. Entries without a
+ * playable source show their placeholder inline.
+ */
+function renderVideoCard(video) {
+  const embed = resolveEmbed(video);
+  
+  if (!embed || embed.rejected) {
+    return html`
+      <div class="video-card">
+        <h3>${video.title}</h3>
+        ${renderEmbed(video)}
+        ${video.description ? html`<p class="video-card-description">${video.description}</p>` : ''}
+      </div>
+    `;
+  }
+  
+  const posterSrc = getPosterSrc(embed, video);
+  const notice = getProviderNotice(embed);
+  
+  return html`
+    <div class="video-card">
+      <h3>${video.title}</h3>
+      <div class="video-thumbnail">
+        ${posterSrc ? html`<img src="${posterSrc}" alt="" loading="lazy">` : ''}
+        <button type="button" class="play-overlay" aria-haspopup="dialog" aria-label="Play video: ${video.title}">
+          <svg width="32" height="32" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>
+        </button>
+      </div>
+      ${notice ? html`<p class="video-card-notice">${notice}</p>` : ''}
+      ${video.description ? html`<p class="video-card-description">${video.description}</p>` : ''}
+      <template class="video-card-player">${renderEmbed(video)}</template>
+    </div>
+  `;
+}
+
+export const videoSection = {
+  type: 'video',
+  
+  schema: sectionSchema({
+    required: ['featured'],
+    properties: {
+      featured: videoEntry,
+      gallery: {
+        type: 'array',
+        items: {
+          ...videoEntry,
+          required: ['title'],
+          properties: { ...videoEntry.properties, title: text }
+        }
+      }
+    }
+  }),
+  
+  render(content) {
+    const featuredEmbed = renderEmbed(content.featured);
+    const gallery = content.gallery || [];
+    
+    return html`
+      <div class="section-content">
+        ${renderSectionHeader(content)}
+        ${featuredEmbed ? html`<div class="video-container" data-animate="fade-up">${featuredEmbed}</div>` : ''}
+        ${gallery.length ? html`
+          <div class="video-gallery" data-animate="slide-up">
+            ${gallery.map(renderVideoCard)}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  },
+  
+  onVisibility: revealOnEnter
+};
@@ -0,0 +1,289 @@
+/**
+ * TEAM PROFILES
+ *
+ * Full profile dialog for team members: photo, role, credentials, bio and
+ * links, with previous/next between the members of the same grid. The team
+ * section renders each member's profile into a <template> on their card;
+ * the dialog shows a copy of it.
+ *
+ * Like the gallery lightbox, it reports what it shows as profile:open,
+ * profile:change and profile:close events ({ sectionId, view: 'member',
+ * item }, item being the member id), which the navigation controller turns
+ * into #<section id>/member/<member id> URLs, and opens or closes on
+ * navigation:member and navigation:memberclose.
+ */
+
+import { Dialog } from './dialog.js';
+
+export class TeamProfile {
+  constructor(options = {}) {
+    this.options = {
+      selector: options.selector || '.team-member .member-profile-open',
+      ...options
+    };
+
+    this.element = null;
+    this.dialog = null;
+    this.grid = null;
+    this.currentIndex = 0;
+    this.isOpen = false;
+
+    // Bind methods
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleMemberRoute = this.handleMemberRoute.bind(this);
+    this.handleMemberClose = this.handleMemberClose.bind(this);
+  }
+
+  /**
+   * Open profiles from clicks anywhere in the document, including team
+   * grids rendered later
+   */
+  init() {
+    document.addEventListener('click', this.handleClick);
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('navigation:member', this.handleMemberRoute);
+    document.addEventListener('navigation:memberclose', this.handleMemberClose);
+  }
+
+  /**
+   * Delegated click handler for the profile buttons on team cards
+   */
+  handleClick(event) {
+    const button = event.target.closest && event.target.closest(this.options.selector);
+    if (!button) return;
+
+    const member = button.closest('.team-member');
+    const grid = member.closest('.team-grid');
+    this.open(grid, this.getMembers(grid).indexOf(member));
+  }
+
+  /**
+   * Open the profile a URL points at ({ sectionId, item }, item being the
+   * member id)
+   */
+  handleMemberRoute(event) {
+    const { sectionId, item } = event.detail;
+    const section = document.getElementById(sectionId);
+    const grid = section && section.querySelector('.team-grid');
+    if (!grid) return;
+
+    const index = this.getMembers(grid).findIndex(member => member.dataset.member === item);
+    if (index === -1) return;
+
+    this.open(grid, index, { notify: false });
+  }
+
+  /**
+   * Close when the URL leaves a profile (e.g. the back button)
+   */
+  handleMemberClose() {
+    this.close({ notify: false });
+  }
+
+  /**
+   * Arrow keys move between members while open
+   */
+  handleKeydown(event) {
+    if (!this.isOpen) return;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.previous();
+        break;
+      case 'ArrowRight':
+        this.next();
+        break;
+    }
+  }
+
+  /**
+   * Create the dialog markup on first use
+   */
+  createElement() {
+    const profile = document.createElement('div');
+    profile.className = 'team-profile';
+    profile.innerHTML = `
+      <div class="team-profile-overlay"></div>
+      <div class="team-profile-panel">
+        <button type="button" class="team-profile-close" aria-label="Close profile">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+        <div class="team-profile-body"></div>
+        <nav class="team-profile-nav" aria-label="Team members">
+          <button type="button" class="team-profile-prev">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+              <path d="M15.41 7.41L14 6l-6 6 6 6 1.41-1.41L10.83 12z"/>
+            </svg>
+            <span class="team-profile-prev-name"></span>
+          </button>
+          <span class="team-profile-counter" aria-hidden="true"></span>
+          <button type="button" class="team-profile-next">
+            <span class="team-profile-next-name"></span>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+              <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/>
+            </svg>
+          </button>
+        </nav>
+        <p class="team-profile-status sr-only" aria-live="polite"></p>
+      </div>
+    `;
+
+    profile.querySelector('.team-profile-overlay').addEventListener('click', () => this.close());
+    profile.querySelector('.team-profile-close').addEventListener('click', () => this.close());
+    profile.querySelector('.team-profile-prev').addEventListener('click', () => this.previous());
+    profile.querySelector('.team-profile-next').addEventListener('click', () => this.next());
+
+    this.dialog = new Dialog(profile, {
+      labelledBy: 'team-profile-name',
+      onClose: () => this.close()
+    });
+
+    document.body.appendChild(profile);
+    return profile;
+  }
+
+  /**
+   * Get the member cards of a team grid
+   */
+  getMembers(grid = this.grid) {
+    return grid ? Array.from(grid.querySelectorAll('.team-member')) : [];
+  }
+
+  /**
+   * Get the profile button of the current member's card
+   */
+  getCardButton() {
+    const member = this.getMembers()[this.currentIndex];
+    return member ? member.querySelector('.member-profile-open') : null;
+  }
+
+  /**
+   * Open a team grid at a member. Opening from the URL passes
+   * notify: false, as the URL already points at the member.
+   */
+  open(grid, index = 0, { notify = true } = {}) {
+    if (!grid || index < 0) return;
+
+    this.element = this.element || this.createElement();
+    this.grid = grid;
+    this.currentIndex = index;
+    this.isOpen = true;
+
+    this.update();
+
+    this.element.classList.add('visible');
+    this.dialog.open({ returnFocus: this.getCardButton() });
+
+    if (notify) this.dispatch('open');
+  }
+
+  /**
+   * Close the profile
+   */
+  close({ notify = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.classList.remove('visible');
+    this.dialog.close({ returnFocus: this.getCardButton() });
+    this.isOpen = false;
+
+    if (notify) this.dispatch('close');
+  }
+
+  /**
+   * Show the next member, wrapping around
+   */
+  next() {
+    this.show(this.currentIndex + 1);
+  }
+
+  /**
+   * Show the previous member, wrapping around
+   */
+  previous() {
+    this.show(this.currentIndex - 1);
+  }
+
+  /**
+   * Show a member of the open grid by index
+   */
+  show(index) {
+    const count = this.getMembers().length;
+    if (!this.isOpen || !count) return;
+
+    this.currentIndex = (index + count) % count;
+    this.update();
+    this.dispatch('change');
+  }
+
+  /**
+   * Announce which member is shown, with the id of the section the grid
+   * is in
+   */
+  dispatch(type) {
+    const section = this.grid.closest('.story-section');
+    const member = this.getMembers()[this.currentIndex];
+
+    document.dispatchEvent(new CustomEvent(`profile:${type}`, {
+      detail: {
+        sectionId: section ? section.id : null,
+        view: 'member',
+        item: member.dataset.member,
+        index: this.currentIndex
+      }
+    }));
+  }
+
+  /**
+   * Fill the dialog from the current member's profile template
+   */
+  update() {
+    const members = this.getMembers();
+    const member = members[this.currentIndex];
+    const template = member && member.querySelector('template.member-profile');
+    if (!template) return;
+
+    const body = this.element.querySelector('.team-profile-body');
+    body.replaceChildren(template.content.cloneNode(true));
+    body.scrollTop = 0;
+
+    const name = body.querySelector('.profile-name');
+    if (name) name.id = 'team-profile-name';
+
+    const nameOf = card => {
+      const heading = card.querySelector('.member-info h4');
+      return heading ? heading.textContent : '';
+    };
+    const previous = members[(this.currentIndex - 1 + members.length) % members.length];
+    const next = members[(this.currentIndex + 1) % members.length];
+    const single = members.length < 2;
+
+    this.element.querySelector('.team-profile-nav').hidden = single;
+    this.element.querySelector('.team-profile-prev').setAttribute('aria-label', `Previous member: ${nameOf(previous)}`);
+    this.element.querySelector('.team-profile-prev-name').textContent = nameOf(previous);
+    this.element.querySelector('.team-profile-next').setAttribute('aria-label', `Next member: ${nameOf(next)}`);
+    this.element.querySelector('.team-profile-next-name').textContent = nameOf(next);
+    this.element.querySelector('.team-profile-counter').textContent = `${this.currentIndex + 1} / ${members.length}`;
+    this.element.querySelector('.team-profile-status').textContent = `Member ${this.currentIndex + 1} of ${members.length}: ${nameOf(member)}`;
+  }
+
+  /**
+   * Remove listeners and the dialog element
+   */
+  destroy() {
+    this.close();
+    document.removeEventListener('click', this.handleClick);
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('navigation:member', this.handleMemberRoute);
+    document.removeEventListener('navigation:memberclose', this.handleMemberClose);
+
+    if (this.element) {
+      this.dialog.destroy();
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * VIDEO CONTROLS
+ *
+ * Keyboard-operable controls for self-hosted videos: play/pause, a seek
+ * slider, time, mute and volume, captions, playback speed and full screen.
+ * Background videos get a compact play/pause toggle instead (WCAG 2.2.2).
+ *
+ * Shortcuts while focus is inside the player: K play/pause, M mute,
+ * F full screen, C captions, Left/Right seek.
+ */
+
+import { html } from './html.js';
+import { formatTime } from './video-tracks.js';
+
+const SEEK_STEP = 5;
+const VOLUME_STEP = 0.1;
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+const ICONS = {
+  play: 'M8 5v14l11-7z',
+  pause: 'M6 19h4V5H6v14zm8-14v14h4V5h-4z',
+  volume: 'M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z',
+  muted: 'M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z',
+  captions: 'M19 4H5c-1.11 0-2 .9-2 2v12c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm-8 7H9.5v-.5h-2v3h2V13H11v1c0 .55-.45 1-1 1H7c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1zm7 0h-1.5v-.5h-2v3h2V13H18v1c0 .55-.45 1-1 1h-3c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1z',
+  fullscreen: 'M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z',
+  exitFullscreen: 'M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z'
+};
+
+/**
+ * Render an inline control icon
+ */
+function renderIcon(name, className = '') {
+  return html`<svg class="control-icon ${className}" viewBox="0 0 24 24" width="24" height="24" fill="currentColor" aria-hidden="true" focusable="false"><path d="${ICONS[name]}"/></svg>`;
+}
+
+export class VideoControls {
+  constructor(video, options = {}) {
+    this.video = video;
+    this.options = {
+      compact: options.compact || false,
+      container: options.container || video.parentElement,
+      label: options.label || video.getAttribute('aria-label') || 'Video',
+      ...options
+    };
+
+    this.element = null;
+    this.listeners = [];
+
+    // Bind methods
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  /**
+   * Render the controls and take over from the native ones
+   */
+  init() {
+    this.element = document.createElement('div');
+    this.element.className = `video-controls${this.options.compact ? ' compact' : ''}`;
+    this.element.setAttribute('role', 'group');
+    this.element.setAttribute('aria-label', `${this.options.compact ? 'Background video' : 'Video'} controls: ${this.options.label}`);
+    this.element.innerHTML = this.options.compact ? this.renderCompact() : this.renderFull();
+
+    this.options.container.appendChild(this.element);
+    this.options.container.classList.add('has-video-controls');
+    this.video.controls = false;
+
+    this.bindControls();
+    this.update();
+  }
+
+  /**
+   * Markup for the single background video toggle
+   */
+  renderCompact() {
+    return html`
+      <button type="button" class="video-control play-pause-btn" aria-label="Pause background video">
+        ${renderIcon('play', 'play-icon')}${renderIcon('pause', 'pause-icon')}
+      </button>
+    `;
+  }
+
+  /**
+   * Markup for the full control bar
+   */
+  renderFull() {
+    const hasCaptions = this.getCaptionTracks().length > 0;
+    const canFullscreen = Boolean(document.fullscreenEnabled || this.video.webkitEnterFullscreen);
+
+    return html`
+      <button type="button" class="video-control play-pause-btn" aria-label="Play">
+        ${renderIcon('play', 'play-icon')}${renderIcon('pause', 'pause-icon')}
+      </button>
+      <div class="progress-bar" role="slider" tabindex="0" aria-label="Seek" aria-valuemin="0" aria-valuemax="0" aria-valuenow="0" aria-valuetext="0:00 of 0:00">
+        <div class="progress-fill"></div>
+      </div>
+      <div class="time-display" aria-hidden="true">
+        <span class="current-time">0:00</span> / <span class="duration">0:00</span>
+      </div>
+      <button type="button" class="video-control mute-btn" aria-label="Mute">
+        ${renderIcon('volume', 'volume-icon')}${renderIcon('muted', 'muted-icon')}
+      </button>
+      <div class="volume-slider" role="slider" tabindex="0" aria-label="Volume" aria-valuemin="0" aria-valuemax="100" aria-valuenow="100" aria-valuetext="100%">
+        <div class="volume-fill"></div>
+      </div>
+      ${hasCaptions ? html`
+        <button type="button" class="video-control captions-btn" aria-label="Captions" aria-pressed="false">
+          ${renderIcon('captions')}
+        </button>
+      ` : ''}
+      <label class="speed-control">
+        <span class="sr-only">Playback speed</span>
+        <select class="speed-select">
+          ${PLAYBACK_RATES.map(rate => html`<option value="${rate}"${rate === 1 ? html` selected` : ''}>${rate}×</option>`)}
+        </select>
+      </label>
+      ${canFullscreen ? html`
+        <button type="button" class="video-control fullscreen-btn" aria-label="Full screen">
+          ${renderIcon('fullscreen', 'enter-fullscreen-icon')}${renderIcon('exitFullscreen', 'exit-fullscreen-icon')}
+        </button>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Attach a listener that destroy() removes again
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push([target, type, handler]);
+  }
+
+  /**
+   * Wire up buttons, sliders and shortcuts
+   */
+  bindControls() {
+    const control = selector => this.element.querySelector(selector);
+
+    this.listen(control('.play-pause-btn'), 'click', () => this.togglePlay());
+    ['play', 'pause', 'timeupdate', 'durationchange', 'loadedmetadata', 'volumechange', 'ratechange'].forEach(type => {
+      this.listen(this.video, type, this.update);
+    });
+
+    if (this.options.compact) return;
+
+    this.setupSlider(control('.progress-bar'), {
+      get: () => this.video.currentTime,
+      set: value => this.seek(value),
+      max: () => this.video.duration || 0,
+      step: SEEK_STEP
+    });
+
+    this.setupSlider(control('.volume-slider'), {
+      get: () => (this.video.muted ? 0 : this.video.volume),
+      set: value => this.setVolume(value),
+      max: () => 1,
+      step: VOLUME_STEP
+    });
+
+    this.listen(control('.mute-btn'), 'click', () => this.toggleMute());
+    this.listen(control('.speed-select'), 'change', event => {
+      this.video.playbackRate = Number(event.target.value);
+    });
+
+    if (control('.captions-btn')) {
+      this.listen(control('.captions-btn'), 'click', () => this.toggleCaptions());
+    }
+
+    if (control('.fullscreen-btn')) {
+      this.listen(control('.fullscreen-btn'), 'click', () => this.toggleFullscreen());
+      this.listen(document, 'fullscreenchange', this.update);
+    }
+
+    this.listen(this.options.container, 'keydown', this.handleKeydown);
+  }
+
+  /**
+   * Make a role="slider" element operable by keyboard and pointer
+   */
+  setupSlider(slider, { get, set, max, step }) {
+    const valueAt = clientX => {
+      const rect = slider.getBoundingClientRect();
+      const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+      return ratio * max();
+    };
+
+    this.listen(slider, 'keydown', event => {
+      const page = max() / 10;
+      const keys = {
+        ArrowLeft: get() - step,
+        ArrowDown: get() - step,
+        ArrowRight: get() + step,
+        ArrowUp: get() + step,
+        PageDown: get() - page,
+        PageUp: get() + page,
+        Home: 0,
+        End: max()
+      };
+
+      if (!(event.key in keys)) return;
+
+      event.preventDefault();
+      set(Math.min(Math.max(keys[event.key], 0), max()));
+    });
+
+    this.listen(slider, 'pointerdown', event => {
+      slider.setPointerCapture(event.pointerId);
+      set(valueAt(event.clientX));
+    });
+
+    this.listen(slider, 'pointermove', event => {
+      if (slider.hasPointerCapture(event.pointerId)) {
+        set(valueAt(event.clientX));
+      }
+    });
+  }
+
+  /**
+   * Player-wide shortcuts, ignored while typing or with modifier keys
+   */
+  handleKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.matches('input, textarea, select, [contenteditable]')) return;
+
+    const inSlider = event.target.matches('[role="slider"]');
+
+    switch (event.key.toLowerCase()) {
+      case 'k':
+        this.togglePlay();
+        break;
+      case 'm':
+        this.toggleMute();
+        break;
+      case 'f':
+        if (!this.element.querySelector('.fullscreen-btn')) return;
+        this.toggleFullscreen();
+        break;
+      case 'c':
+        if (!this.element.querySelector('.captions-btn')) return;
+        this.toggleCaptions();
+        break;
+      case 'arrowleft':
+        if (inSlider) return;
+        this.seek(this.video.currentTime - SEEK_STEP);
+        break;
+      case 'arrowright':
+        if (inSlider) return;
+        this.seek(this.video.currentTime + SEEK_STEP);
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Play or pause, remembering a viewer's pause so autoplay won't override it
+   */
+  togglePlay() {
+    if (this.video.paused) {
+      delete this.video.dataset.userPaused;
+      this.video.play().catch(console.warn);
+    } else {
+      this.video.dataset.userPaused = 'true';
+      this.video.pause();
+    }
+  }
+
+  /**
+   * Seek to a time in seconds
+   */
+  seek(time) {
+    if (!Number.isFinite(this.video.duration)) return;
+    this.video.currentTime = Math.min(Math.max(time, 0), this.video.duration);
+    this.update();
+  }
+
+  /**
+   * Set volume (0-1); zero mutes
+   */
+  setVolume(volume) {
+    this.video.volume = Math.min(Math.max(volume, 0), 1);
+    this.video.muted = this.video.volume === 0;
+  }
+
+  /**
+   * Toggle mute, restoring an audible volume when unmuting
+   */
+  toggleMute() {
+    this.video.muted = !this.video.muted;
+    if (!this.video.muted && this.video.volume === 0) {
+      this.video.volume = 0.5;
+    }
+  }
+
+  /**
+   * Get the caption and subtitle tracks
+   */
+  getCaptionTracks() {
+    return Array.from(this.video.textTracks || []).filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+  }
+
+  /**
+   * Show the first caption track, or hide all of them
+   */
+  toggleCaptions() {
+    const tracks = this.getCaptionTracks();
+    const showing = tracks.some(track => track.mode === 'showing');
+
+    tracks.forEach((track, index) => {
+      track.mode = !showing && index === 0 ? 'showing' : 'disabled';
+    });
+
+    this.update();
+  }
+
+  /**
+   * Enter or leave full screen with the controls, or the native player on iOS
+   */
+  toggleFullscreen() {
+    const container = this.options.container;
+
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(console.warn);
+    } else if (container.requestFullscreen) {
+      container.requestFullscreen().catch(console.warn);
+    } else if (this.video.webkitEnterFullscreen) {
+      this.video.webkitEnterFullscreen();
+    }
+  }
+
+  /**
+   * Sync labels, slider values and state classes with the video
+   */
+  update() {
+    const video = this.video;
+    const playing = !video.paused;
+    const playButton = this.element.querySelector('.play-pause-btn');
+
+    this.element.classList.toggle('is-playing', playing);
+    playButton.setAttribute('aria-label', this.options.compact
+      ? `${playing ? 'Pause' : 'Play'} background video`
+      : playing ? 'Pause' : 'Play');
+
+    if (this.options.compact) return;
+
+    const duration = Number.isFinite(video.duration) ? video.duration : 0;
+    const progress = this.element.querySelector('.progress-bar');
+    progress.setAttribute('aria-valuemax', Math.floor(duration));
+    progress.setAttribute('aria-valuenow', Math.floor(video.currentTime));
+    progress.setAttribute('aria-valuetext', `${formatTime(video.currentTime)} of ${formatTime(duration)}`);
+    this.element.querySelector('.progress-fill').style.width = `${duration ? (video.currentTime / duration) * 100 : 0}%`;
+    this.element.querySelector('.current-time').textContent = formatTime(video.currentTime);
+    this.element.querySelector('.duration').textContent = formatTime(duration);
+
+    const volume = video.muted ? 0 : Math.round(video.volume * 100);
+    const volumeSlider = this.element.querySelector('.volume-slider');
+    volumeSlider.setAttribute('aria-valuenow', volume);
+    volumeSlider.setAttribute('aria-valuetext', video.muted ? 'Muted' : `${volume}%`);
+    this.element.querySelector('.volume-fill').style.width = `${volume}%`;
+    this.element.querySelector('.mute-btn').setAttribute('aria-label', video.muted ? 'Unmute' : 'Mute');
+    this.element.classList.toggle('is-muted', video.muted);
+
+    const captionsButton = this.element.querySelector('.captions-btn');
+    if (captionsButton) {
+      captionsButton.setAttribute('aria-pressed', String(this.getCaptionTracks().some(track => track.mode === 'showing')));
+    }
+
+    const fullscreenButton = this.element.querySelector('.fullscreen-btn');
+    if (fullscreenButton) {
+      const isFullscreen = document.fullscreenElement === this.options.container;
+      fullscreenButton.setAttribute('aria-label', isFullscreen ? 'Exit full screen' : 'Full screen');
+      this.element.classList.toggle('is-fullscreen', isFullscreen);
+    }
+
+    this.element.querySelector('.speed-select').value = String(video.playbackRate);
+  }
+
+  /**
+   * Remove the controls and hand back to the native ones
+   */
+  destroy() {
+    this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+    this.listeners = [];
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    this.options.container.classList.remove('has-video-controls');
+    if (!this.options.compact) {
+      this.video.controls = true;
+    }
+  }
+}
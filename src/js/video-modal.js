@@ -0,0 +1,136 @@
+/**
+ * VIDEO MODAL
+ *
+ * Plays the videos of a video section's gallery in a dialog. Each gallery
+ * card shows a thumbnail and renders its player into a <template>; the
+ * dialog plays a copy of it, activating third-party facades straight away
+ * since the card's play button was the click to load. Closing empties the
+ * dialog so playback stops.
+ */
+
+import { Dialog } from './dialog.js';
+import { activateVideoFacade } from './embeds.js';
+import { setupAudioDescription } from './video-tracks.js';
+
+export class VideoModal {
+  constructor(options = {}) {
+    this.options = {
+      selector: '.video-card .play-overlay',
+      ...options
+    };
+
+    this.element = null;
+    this.dialog = null;
+    this.button = null;
+    this.isOpen = false;
+
+    // Bind methods
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Open videos from clicks anywhere in the document, including video
+   * sections rendered later
+   */
+  init() {
+    document.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * Delegated click handler for the play buttons on video cards
+   */
+  handleClick(event) {
+    const button = event.target.closest && event.target.closest(this.options.selector);
+    if (!button) return;
+
+    event.preventDefault();
+    this.open(button.closest('.video-card'), button);
+  }
+
+  /**
+   * Create the dialog markup on first use
+   */
+  createElement() {
+    const modal = document.createElement('div');
+    modal.className = 'video-modal';
+    modal.innerHTML = `
+      <div class="modal-overlay"></div>
+      <div class="modal-content">
+        <button type="button" class="modal-close" aria-label="Close video">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+        <div class="modal-video"></div>
+        <div class="modal-info">
+          <h4 id="video-modal-title"></h4>
+          <p class="modal-description"></p>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('.modal-overlay').addEventListener('click', () => this.close());
+    modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+    this.dialog = new Dialog(modal, {
+      labelledBy: 'video-modal-title',
+      onClose: () => this.close()
+    });
+
+    document.body.appendChild(modal);
+    return modal;
+  }
+
+  /**
+   * Play a gallery card's video, returning focus to its play button on close
+   */
+  open(card, button) {
+    const template = card && card.querySelector('template.video-card-player');
+    if (!template) return;
+
+    this.element = this.element || this.createElement();
+    this.button = button;
+
+    const player = this.element.querySelector('.modal-video');
+    player.replaceChildren(template.content.cloneNode(true));
+    player.querySelectorAll('video').forEach(video => setupAudioDescription(video));
+
+    const title = card.querySelector('h3');
+    const description = card.querySelector('.video-card-description');
+    this.element.querySelector('#video-modal-title').textContent = title ? title.textContent : 'Video';
+    this.element.querySelector('.modal-description').textContent = description ? description.textContent : '';
+
+    this.isOpen = true;
+    this.element.classList.add('visible');
+    this.dialog.open({ returnFocus: button });
+
+    // Activating moves focus to the player
+    player.querySelectorAll('.video-facade').forEach(facade => activateVideoFacade(facade));
+  }
+
+  /**
+   * Close the dialog and remove its player, which stops playback
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.element.classList.remove('visible');
+    this.element.querySelector('.modal-video').replaceChildren();
+    this.dialog.close({ returnFocus: this.button });
+    this.isOpen = false;
+  }
+
+  /**
+   * Remove the listener and the dialog element
+   */
+  destroy() {
+    this.close();
+    document.removeEventListener('click', this.handleClick);
+
+    if (this.element) {
+      this.dialog.destroy();
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
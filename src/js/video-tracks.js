@@ -0,0 +1,251 @@
+/**
+ * VIDEO CAPTIONS AND TRANSCRIPTS
+ *
+ * Accessibility fields on video entries:
+ * - captions: WebVTT files by language, e.g. { "en": "story.en.vtt" }
+ * - audioDescription: a WebVTT descriptions file, read out through a live region
+ * - transcript: a WebVTT file (timed and synced to playback) or plain text
+ *
+ * Tracks only apply to local <video> players; the transcript panel works for
+ * every player.
+ */
+
+import { html } from './html.js';
+import { resolveAsset } from './sections/markup.js';
+
+const TRACK_FOLDER = 'captions';
+
+// Character references WebVTT cue text may use, decoded in one pass so
+// "&amp;lt;" stays "&lt;"
+const VTT_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  nbsp: '\u00a0',
+  lrm: '\u200e',
+  rlm: '\u200f'
+};
+
+/**
+ * Check whether an asset path points at a WebVTT file
+ */
+export function isVTT(path) {
+  return typeof path === 'string' && /\.vtt(\?.*)?$/i.test(path.trim());
+}
+
+/**
+ * Name a language in its own language, falling back to the code
+ */
+function languageLabel(lang) {
+  try {
+    return new Intl.DisplayNames([lang], { type: 'language' }).of(lang) || lang;
+  } catch (error) {
+    return lang;
+  }
+}
+
+/**
+ * Render <track> elements for an entry's captions and audio description
+ */
+export function renderTracks(entry = {}) {
+  const captions = Object.entries(entry.captions || {}).filter(([, src]) => src);
+
+  return html`${captions.map(([lang, src], index) => html`
+    <track kind="captions" src="${resolveAsset(src, TRACK_FOLDER)}" srclang="${lang}" label="${languageLabel(lang)}"${index === 0 ? html` default` : ''}>
+  `)}${entry.audioDescription ? html`
+    <track kind="descriptions" src="${resolveAsset(entry.audioDescription, TRACK_FOLDER)}" srclang="${captions.length ? captions[0][0] : 'en'}" label="Audio description">
+  ` : ''}`;
+}
+
+/**
+ * Render the expandable transcript panel for an entry, or nothing
+ */
+export function renderTranscript(entry = {}) {
+  const transcript = typeof entry.transcript === 'string' ? entry.transcript.trim() : '';
+  if (!transcript) return '';
+
+  const title = entry.title || entry.description;
+
+  if (isVTT(transcript)) {
+    return html`
+      <details class="video-transcript" data-transcript-src="${resolveAsset(transcript, TRACK_FOLDER)}">
+        <summary>Transcript${title ? html`<span class="sr-only">: ${title}</span>` : ''}</summary>
+        <div class="transcript-body">
+          <p class="transcript-status">Loading transcript…</p>
+        </div>
+      </details>
+    `;
+  }
+
+  return html`
+    <details class="video-transcript">
+      <summary>Transcript${title ? html`<span class="sr-only">: ${title}</span>` : ''}</summary>
+      <div class="transcript-body">
+        ${transcript.split(/\n\s*\n/).map(paragraph => html`<p>${paragraph}</p>`)}
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * Parse a WebVTT timestamp (hh:mm:ss.ttt or mm:ss.ttt) into seconds
+ */
+function parseTimestamp(value) {
+  const parts = value.trim().split(':').map(Number);
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+/**
+ * Parse WebVTT source into [{ start, end, text }]
+ */
+export function parseVTT(source) {
+  return String(source)
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n');
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1) return null;
+
+      const [start, end] = lines[timing].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+      const text = lines.slice(timing + 1).join(' ')
+        .replace(/<v(?:\.[\w.]+)?\s+([^>]+)>/g, '$1: ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (match, name) => VTT_ENTITIES[name])
+        .trim();
+
+      return text ? { start, end, text } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ */
+export function formatTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Find the local <video> a transcript panel belongs to
+ */
+function findTranscriptVideo(panel) {
+  const player = panel.closest('.video-with-transcript');
+  return player ? player.querySelector('video') : null;
+}
+
+/**
+ * Load a WebVTT transcript into its panel and sync it with the player
+ */
+export async function setupTranscript(panel) {
+  if (panel.dataset.transcriptState) return;
+  panel.dataset.transcriptState = 'loading';
+
+  const body = panel.querySelector('.transcript-body');
+  const video = findTranscriptVideo(panel);
+
+  try {
+    const response = await fetch(panel.dataset.transcriptSrc);
+    if (!response.ok) {
+      throw new Error(`Failed to load transcript: ${response.status}`);
+    }
+
+    const cues = parseVTT(await response.text());
+
+    // Timestamps seek the player when there is one we can control
+    body.innerHTML = html`${cues.map(cue => html`
+      <p class="transcript-cue" data-start="${cue.start}" data-end="${cue.end}">
+        ${video
+          ? html`<button type="button" class="transcript-time" aria-label="Play from ${formatTime(cue.start)}">${formatTime(cue.start)}</button>`
+          : html`<span class="transcript-time">${formatTime(cue.start)}</span>`}
+        <span class="transcript-text">${cue.text}</span>
+      </p>
+    `)}`;
+
+    if (video) {
+      syncTranscript(panel, video);
+    }
+
+    panel.dataset.transcriptState = 'ready';
+  } catch (error) {
+    console.error('Failed to load transcript:', error);
+    body.innerHTML = html`<p class="transcript-status">The transcript could not be loaded.</p>`;
+    panel.dataset.transcriptState = 'error';
+  }
+}
+
+/**
+ * Highlight the cue being spoken and let timestamps seek the video
+ */
+function syncTranscript(panel, video) {
+  const body = panel.querySelector('.transcript-body');
+  const cues = Array.from(panel.querySelectorAll('.transcript-cue'));
+  let activeCue = null;
+
+  video.addEventListener('timeupdate', () => {
+    const time = video.currentTime;
+    const cue = cues.find(element => time >= Number(element.dataset.start) && time < Number(element.dataset.end)) || null;
+    if (cue === activeCue) return;
+
+    if (activeCue) {
+      activeCue.classList.remove('active');
+      activeCue.removeAttribute('aria-current');
+    }
+
+    activeCue = cue;
+
+    if (cue) {
+      cue.classList.add('active');
+      cue.setAttribute('aria-current', 'true');
+
+      // Scroll within the panel only, never the page
+      if (panel.open) {
+        body.scrollTop = cue.offsetTop - body.offsetTop - body.clientHeight / 3;
+      }
+    }
+  });
+
+  body.addEventListener('click', event => {
+    const button = event.target.closest('.transcript-time');
+    if (!button || button.tagName !== 'BUTTON') return;
+
+    video.currentTime = Number(button.closest('.transcript-cue').dataset.start);
+    video.play().catch(console.warn);
+  });
+}
+
+/**
+ * Delegated toggle handler: WebVTT transcripts load the first time they open.
+ * Toggle events don't bubble, so register it with capture.
+ */
+export function handleTranscriptToggle(event) {
+  const panel = event.target;
+  if (!panel.matches || !panel.matches('.video-transcript[data-transcript-src]') || !panel.open) return;
+
+  setupTranscript(panel);
+}
+
+/**
+ * Read audio description cues out through a polite live region
+ */
+export function setupAudioDescription(video) {
+  const track = Array.from(video.textTracks || []).find(textTrack => textTrack.kind === 'descriptions');
+  if (!track || video.dataset.audioDescription) return;
+
+  video.dataset.audioDescription = 'true';
+  track.mode = 'hidden';
+
+  const region = document.createElement('div');
+  region.className = 'sr-only video-description-live';
+  region.setAttribute('aria-live', 'polite');
+  video.insertAdjacentElement('afterend', region);
+
+  track.addEventListener('cuechange', () => {
+    region.textContent = Array.from(track.activeCues || []).map(cue => cue.text).join(' ');
+  });
+}
@@ -1,4 +1,6 @@
 import { defineConfig } from 'vite';
+import { contentPlugin } from './scripts/vite-plugin-content.mjs';
+import { responsiveImagesPlugin } from './scripts/vite-plugin-images.mjs';
 
 export default defineConfig({
   // Base public path
@@ -37,7 +39,9 @@ export default defineConfig({
           'accessibility-progress': [
             './src/js/accessibility-controller.js',
             './src/js/progress-indicator.js'
-          ]
+          ],
+          // Loaded on demand by AnimationController
+          'gsap': ['gsap', 'gsap/ScrollTrigger']
         }
       }
     },
@@ -65,7 +69,17 @@ export default defineConfig({
   assetsInclude: ['**/*.md', '**/*.json'],
   
   // Plugin configuration
-  plugins: [],
+  plugins: [
+    // Serves content/ in dev with HMR and emits it into dist/content/.
+    // INLINE_CONTENT=true bundles the JSON into the script instead of fetching it
+    contentPlugin({
+      dir: 'content',
+      inline: process.env.INLINE_CONTENT === 'true'
+    }),
+    
+    // AVIF/WebP/JPEG variants of public/assets/images and their manifest
+    responsiveImagesPlugin({ dir: 'public/assets/images' })
+  ],
   
   // Optimization
   optimizeDeps: {